@@ -1,4 +1,4 @@
-/*global assert:true */
+/*global assert:true, getContext */
 'use strict'
 
 // prepare environment for js-data-adapter-tests
@@ -7,12 +7,12 @@ import 'babel-polyfill'
 import * as JSData from 'js-data'
 import JSDataAdapterTests from './node_modules/js-data-adapter/dist/js-data-adapter-tests'
 import * as JSDataDocumentDB from './src/index'
+import { LocalDocumentClient } from './src/LocalDocumentClient'
+import { Readable } from 'stream'
 
 const assert = global.assert = JSDataAdapterTests.assert
 global.sinon = JSDataAdapterTests.sinon
 
-import { mockClient } from './test/documentdbMock'
-
 const adapterConfig = {
   documentOpts: {
     db: 'test',
@@ -23,18 +23,18 @@ const adapterConfig = {
   }
 }
 
-let usingMock = false
+const localClient = new LocalDocumentClient()
+let usingLocalClient = false
 
 if (!process.env.DOCUMENT_DB_ENDPOINT && !process.env.DOCUMENT_DB_KEY) {
-  console.log('DOCUMENT_DB_ENDPOINT and DOCUMENT_DB_KEY environment variables are missing, falling back to mock documentdb.')
-  console.log('Not all methods can be tested')
-  adapterConfig.client = mockClient
-  usingMock = true
+  console.log('DOCUMENT_DB_ENDPOINT and DOCUMENT_DB_KEY environment variables are missing, falling back to the local in-memory client.')
+  adapterConfig.client = localClient
+  usingLocalClient = true
 }
 
 beforeEach(function () {
-  if (usingMock) {
-    mockClient.reset()
+  if (usingLocalClient) {
+    localClient.reset()
   }
 })
 
@@ -43,36 +43,23 @@ const config = {
   JSData: JSData,
   Adapter: JSDataDocumentDB.DocumentDBAdapter,
   adapterConfig: adapterConfig,
-  // js-data-documentdb does NOT support these features
   xfeatures: [
-    'findAllLikeOp',
+    // These tests link users to profiles with user.profileId, but define the
+    // relation as a hasOne with profile.userId. See "filtering on relations".
     'filterOnRelations'
   ]
 }
 
-if (usingMock) {
-  config.features = []
-  delete config.xfeatures
-
-  config.xmethods = [
-    'count',
-    'createMany',
-    'destroy',
-    'destroyAll',
-    'find',
-    'sum',
-    'updateAll',
-    'updateMany'
-  ]
-}
-
 JSDataAdapterTests.init(config)
 
 describe('exports', function () {
   it('should have correct exports', function () {
+    assert(JSDataDocumentDB.BulkWriteError)
+    assert(JSDataDocumentDB.ConflictError)
     assert(JSDataDocumentDB.DocumentDBAdapter)
     assert(JSDataDocumentDB.OPERATORS)
     assert(JSDataDocumentDB.OPERATORS['=='])
+    assert(JSDataDocumentDB.udfOperator)
     assert(JSDataDocumentDB.version)
   })
 })
@@ -148,4 +135,2020 @@ describe('DocumentDBAdapter#getQuerySpec', function () {
         assert.equal(users2[0].name, undefined, 'name was not selected')
       })
   })
+  it('should widen TOP to cover skip', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+
+    const querySpec = adapter.getQuerySpec(User, { limit: 2, skip: 3 })
+    assert.equal(querySpec.query, 'SELECT TOP 5 * FROM user')
+  })
+  it('should select aggregates', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+
+    let querySpec = adapter.getQuerySpec(User, { age: 30, orderBy: 'name' }, { aggregate: { fn: 'COUNT' } })
+    assert.equal(querySpec.query, 'SELECT VALUE COUNT(1) FROM user WHERE ((user.age = @age))')
+    assert.deepEqual(querySpec.parameters, [{ name: '@age', value: 30 }])
+
+    querySpec = adapter.getQuerySpec(User, { name: 'John' }, { aggregate: { fn: 'SUM', field: 'age' } })
+    assert.equal(querySpec.query, 'SELECT VALUE SUM(user.age) FROM user WHERE ((user.name = @name))')
+
+    assert.throws(() => {
+      adapter.getQuerySpec(User, { limit: 1 }, { aggregate: { fn: 'COUNT' } })
+    }, Error, 'Aggregate queries do not support query.limit or query.skip!')
+  })
+  it('should quote field paths', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+
+    const querySpec = adapter.getQuerySpec(User, {
+      where: {
+        'first-name': 'John',
+        'addresses[0].city': 'Paris',
+        'meta["last name"]': { '!=': 'Doe' },
+        value: { '>': 1 }
+      },
+      orderBy: [['order', 'desc']]
+    }, { fields: ['id', 'first-name', 'addresses[1].zip'] })
+    assert.equal(querySpec.query, 'SELECT user.id,user["first-name"],user.addresses[1].zip FROM user WHERE ((user["first-name"] = @first_name) AND (user.addresses[0].city = @addresses_0_city) AND (user.meta["last name"] != @meta_last_name) AND (user["value"] > @value)) ORDER BY user["order"] DESC')
+    assert.deepEqual(querySpec.parameters.map((parameter) => parameter.name), ['@first_name', '@addresses_0_city', '@meta_last_name', '@value'])
+  })
+  it('should reject invalid field paths', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+
+    ;['', 'a..b', 'a.', 'a[b]', 'a[0]b', 'a["b"', 'a]'].forEach((field) => {
+      assert.throws(() => {
+        adapter.getQuerySpec(User, { where: { [field]: 1 } })
+      }, Error, `Invalid field path: ${field}`)
+    })
+    const querySpec = adapter.getQuerySpec(User, { where: { 'name = name OR 1': 1 } })
+    assert.equal(querySpec.query, 'SELECT * FROM user WHERE ((user["name = name OR 1"] = @name_name_OR_1))')
+  })
+  it('should translate like patterns', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+
+    let querySpec = adapter.getQuerySpec(User, { where: { name: { like: 'Jo%' } } })
+    assert.equal(querySpec.query, 'SELECT * FROM user WHERE ((STARTSWITH(user.name, @name)))')
+    assert.deepEqual(querySpec.parameters, [{ name: '@name', value: 'Jo' }])
+
+    querySpec = adapter.getQuerySpec(User, { where: { name: { notLike: '%hn' } } })
+    assert.equal(querySpec.query, 'SELECT * FROM user WHERE ((NOT (ENDSWITH(user.name, @name))))')
+
+    querySpec = adapter.getQuerySpec(User, { where: { name: { iLike: '%OH%' } } })
+    assert.equal(querySpec.query, 'SELECT * FROM user WHERE ((CONTAINS(LOWER(user.name), @name)))')
+    assert.deepEqual(querySpec.parameters, [{ name: '@name', value: 'oh' }])
+
+    querySpec = adapter.getQuerySpec(User, { where: { name: { like: 'J_h%n.' } } })
+    assert.equal(querySpec.query, 'SELECT * FROM user WHERE ((udf.jsDataLike(user.name, @name, @name1)))')
+    assert.deepEqual(querySpec.parameters, [
+      { name: '@name', value: '^J.h.*n\\.$' },
+      { name: '@name1', value: '' }
+    ])
+  })
+})
+
+describe('DocumentDBAdapter#findAll', function () {
+  it('should skip records', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+
+    return adapter.create(User, { name: 'A' })
+      .then(() => adapter.create(User, { name: 'B' }))
+      .then(() => adapter.create(User, { name: 'C' }))
+      .then(() => adapter.findAll(User, { orderBy: 'name', skip: 1 }, { feedOpts: { maxItemCount: 1 } }))
+      .then((users) => {
+        assert.deepEqual(users.map((user) => user.name), ['B', 'C'])
+        return adapter.findAll(User, { orderBy: 'name', offset: 1, limit: 1 })
+      })
+      .then((users) => {
+        assert.deepEqual(users.map((user) => user.name), ['B'])
+      })
+  })
+})
+
+describe('DocumentDBAdapter#findPage', function () {
+  it('should page through records with continuation tokens', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+
+    return adapter.create(User, { name: 'A' })
+      .then(() => adapter.create(User, { name: 'B' }))
+      .then(() => adapter.create(User, { name: 'C' }))
+      .then(() => adapter.findPage(User, { orderBy: 'name' }, { pageSize: 2 }))
+      .then((page) => {
+        assert.deepEqual(page.records.map((user) => user.name), ['A', 'B'])
+        assert.isString(page.continuation)
+        return adapter.findPage(User, { orderBy: 'name' }, { pageSize: 2, continuation: page.continuation })
+      })
+      .then((page) => {
+        assert.deepEqual(page.records.map((user) => user.name), ['C'])
+        assert.isUndefined(page.continuation)
+      })
+  })
+  it('should reject query.skip', function () {
+    return this.$$adapter.findPage(this.$$User, { skip: 1 })
+      .then(() => {
+        throw new Error('should have failed!')
+      }, (err) => {
+        assert.equal(err.message, 'findPage does not support query.skip, use opts.continuation instead!')
+      })
+  })
+})
+
+describe('DocumentDBAdapter#iterate', function () {
+  it('should lazily iterate over records', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+    const names = []
+
+    return adapter.create(User, { name: 'A' })
+      .then(() => adapter.create(User, { name: 'B' }))
+      .then(() => adapter.create(User, { name: 'C' }))
+      .then(() => {
+        const iterator = adapter.iterate(User, { orderBy: 'name', skip: 1 }, { pageSize: 1 })
+        const step = () => iterator.next().then((result) => {
+          if (!result.done) {
+            names.push(result.value.name)
+            return step()
+          }
+        })
+        return step()
+      })
+      .then(() => {
+        assert.deepEqual(names, ['B', 'C'])
+      })
+  })
+})
+
+describe('DocumentDBAdapter#stream', function () {
+  it('should stream records', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+    const names = []
+
+    return adapter.create(User, { name: 'A' })
+      .then(() => adapter.create(User, { name: 'B' }))
+      .then(() => adapter.create(User, { name: 'C' }))
+      .then(() => new Promise((resolve, reject) => {
+        adapter.stream(User, { orderBy: 'name', limit: 2 }, { pageSize: 1 })
+          .on('data', (user) => names.push(user.name))
+          .on('error', reject)
+          .on('end', resolve)
+      }))
+      .then(() => {
+        assert.deepEqual(names, ['A', 'B'])
+      })
+  })
+  it('should be destroyed if a query fails', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+
+    sinon.stub(adapter.client, 'queryDocuments', () => {
+      return {
+        executeNext: (callback) => callback({ code: 400, body: 'bad query' }),
+        hasMoreResults: () => false
+      }
+    })
+    const stream = adapter.stream(User)
+    return new Promise((resolve, reject) => {
+      stream
+        .on('data', () => reject(new Error('should have failed!')))
+        .on('error', resolve)
+    })
+      .then((err) => {
+        adapter.client.queryDocuments.restore()
+        assert.equal(err.code, 400)
+        assert(stream.destroyed)
+      }, (err) => {
+        adapter.client.queryDocuments.restore()
+        throw err
+      })
+  })
+})
+
+describe('DocumentDBAdapter#count', function () {
+  it('should fall back to counting records in memory', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+
+    return adapter.create(User, { name: 'A', age: 20 })
+      .then(() => adapter.create(User, { name: 'B', age: 30 }))
+      .then(() => adapter.count(User, {}, { serverAggregates: false }))
+      .then((count) => {
+        assert.equal(count, 2)
+      })
+  })
+})
+
+describe('DocumentDBAdapter#sum', function () {
+  it('should report how many records were summed', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+
+    return adapter.createMany(User, [{ name: 'A', age: 20 }, { name: 'B', age: 30 }, { name: 'C' }])
+      .then(() => adapter.sum(User, 'age', { name: { '!=': 'C' } }, { raw: true }))
+      .then((result) => {
+        assert.equal(result.data, 50)
+        assert.equal(result.found, 2)
+        return adapter.sum(User, 'age', {}, { raw: true, serverAggregates: false })
+      })
+      .then((result) => {
+        assert.equal(result.data, 50)
+        assert.equal(result.found, 3)
+      })
+  })
+  it('should only count records for detailed responses', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+
+    return adapter.createMany(User, [{ name: 'A', age: 20 }, { name: 'B', age: 30 }])
+      .then(() => {
+        sinon.spy(adapter.client, 'queryDocuments')
+        return adapter.sum(User, 'age')
+      })
+      .then((sum) => {
+        const queries = adapter.client.queryDocuments.args.map((args) => args[1].query)
+        adapter.client.queryDocuments.restore()
+        assert.equal(sum, 50)
+        assert.equal(queries.length, 1)
+        assert.include(queries[0], 'SUM(')
+      }, (err) => {
+        adapter.client.queryDocuments.restore()
+        throw err
+      })
+  })
+  ;[true, false].forEach((serverAggregates) => {
+    it(`should not sum values of mixed types (serverAggregates: ${serverAggregates})`, function () {
+      const User = this.$$User
+      const adapter = this.$$adapter
+
+      return adapter.createMany(User, [{ name: 'A', age: 20 }, { name: 'B', age: '30' }])
+        .then(() => adapter.sum(User, 'age', {}, { serverAggregates }))
+        .then((sum) => {
+          assert.isUndefined(sum)
+        })
+    })
+  })
+})
+
+const stubQuery = function (adapter, pages) {
+  return sinon.stub(adapter.client, 'queryDocuments', function () {
+    let position = 0
+    return {
+      toArray: (callback) => callback(null, [].concat(...pages)),
+      hasMoreResults: () => position < pages.length,
+      executeNext: (callback) => callback(null, pages[position++] || [], {})
+    }
+  })
+}
+
+describe('DocumentDBAdapter#min, #max and #avg', function () {
+  afterEach(function () {
+    if (this.$$adapter.client.queryDocuments.restore) {
+      this.$$adapter.client.queryDocuments.restore()
+    }
+  })
+  it('should combine partial server-side aggregates', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+
+    stubQuery(adapter, [[30, 20, 40]])
+    return adapter.min(User, 'age')
+      .then((min) => {
+        assert.equal(min, 20)
+        assert.equal(adapter.client.queryDocuments.firstCall.args[1].query, 'SELECT VALUE MIN(user.age) FROM user')
+        return adapter.max(User, 'age')
+      })
+      .then((max) => {
+        assert.equal(max, 40)
+      })
+  })
+  it('should fold in memory one page at a time', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+
+    stubQuery(adapter, [[30, 20], [], [40, 'n/a']])
+    return adapter.avg(User, 'age', {}, { serverAggregates: false })
+      .then((avg) => {
+        assert.equal(avg, 30)
+        assert.equal(adapter.client.queryDocuments.firstCall.args[1].query, 'SELECT VALUE user.age FROM user')
+      })
+  })
+  it('should fold partial averages in memory', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+
+    const stub = stubQuery(adapter, [[10, 30]])
+    return adapter.avg(User, 'age')
+      .then((avg) => {
+        assert.equal(avg, 20)
+        assert.equal(stub.callCount, 2)
+      })
+  })
+})
+
+describe('DocumentDBAdapter#groupBy', function () {
+  afterEach(function () {
+    this.$$adapter.client.queryDocuments.restore()
+  })
+  it('should count records per group', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+
+    stubQuery(adapter, [[{ groupKey: 'a' }, { groupKey: 'b' }], [{ groupKey: 'a' }]])
+    return adapter.groupBy(User, 'status')
+      .then((groups) => {
+        assert.deepEqual(groups, [{ key: 'a', value: 2 }, { key: 'b', value: 1 }])
+        assert.equal(adapter.client.queryDocuments.firstCall.args[1].query, 'SELECT user.status AS groupKey FROM user')
+      })
+  })
+  it('should aggregate a field per group', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+
+    stubQuery(adapter, [[{ groupKey: 'a', groupValue: 2 }, { groupKey: 'b', groupValue: 3 }, { groupKey: 'a', groupValue: 4 }]])
+    return adapter.groupBy(User, 'status', {}, { fn: 'sum', valueField: 'total' })
+      .then((groups) => {
+        assert.deepEqual(groups, [{ key: 'a', value: 6 }, { key: 'b', value: 3 }])
+      })
+  })
+})
+
+describe('DocumentDBAdapter#upsert and #upsertMany', function () {
+  it('should create or replace a record', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+
+    sinon.spy(adapter.client, 'upsertDocument')
+    return adapter.upsert(User, { name: 'John' }, { raw: true })
+      .then((result) => {
+        assert.equal(result.upserted, 1)
+        return adapter.upsert(User, { id: result.data.id, name: 'Johnny' }, { raw: true, requestOpts: { foo: 'bar' } })
+      })
+      .then((result) => {
+        assert.equal(result.upserted, 1)
+        assert.equal(adapter.client.upsertDocument.secondCall.args[2].foo, 'bar')
+        return adapter.findAll(User)
+      })
+      .then((users) => {
+        assert.deepEqual(users.map((user) => user.name), ['Johnny'])
+      })
+      .then(() => adapter.client.upsertDocument.restore(), (err) => {
+        adapter.client.upsertDocument.restore()
+        throw err
+      })
+  })
+  it('should upsert in a single request', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+
+    sinon.spy(adapter.client, 'readDocument')
+    sinon.spy(adapter.client, 'queryDocuments')
+    return adapter.upsert(User, { id: 'new1', name: 'A' })
+      .then(() => adapter.upsertMany(User, [{ id: 'new1', name: 'B' }, { id: 'new2', name: 'C' }]))
+      .then(() => {
+        const reads = adapter.client.readDocument.callCount + adapter.client.queryDocuments.callCount
+        adapter.client.readDocument.restore()
+        adapter.client.queryDocuments.restore()
+        assert.equal(reads, 0)
+      }, (err) => {
+        adapter.client.readDocument.restore()
+        adapter.client.queryDocuments.restore()
+        throw err
+      })
+  })
+  it('should upsert many records', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+
+    return adapter.create(User, { name: 'John' })
+      .then((john) => adapter.upsertMany(User, [{ id: john.id, name: 'Johnny' }, { name: 'Sally' }], { raw: true }))
+      .then((result) => {
+        assert.deepEqual(result.data.map((user) => user.name), ['Johnny', 'Sally'])
+        assert.equal(result.upserted, 2)
+        return adapter.count(User)
+      })
+      .then((count) => {
+        assert.equal(count, 2)
+      })
+  })
+  it('should call the lifecycle hooks', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+
+    adapter.beforeUpsert = (mapper, props) => Object.assign({}, props, { age: 30 })
+    adapter.afterUpsert = (mapper, props, opts, response) => {
+      assert.equal(props.age, 30)
+      assert.equal(opts.op, 'afterUpsert')
+      return Object.assign({}, response, { hooked: true })
+    }
+    return adapter.upsert(User, { name: 'John' })
+      .then((user) => {
+        delete adapter.beforeUpsert
+        delete adapter.afterUpsert
+        assert.equal(user.age, 30)
+        assert(user.hooked)
+      }, (err) => {
+        delete adapter.beforeUpsert
+        delete adapter.afterUpsert
+        throw err
+      })
+  })
+  it('should reject with a ConflictError when the etag is stale', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+
+    return adapter.create(User, { name: 'John' })
+      .then((john) => adapter.update(User, john.id, { name: 'Johnny' }).then(() => john))
+      .then((john) => adapter.upsert(User, john, { optimistic: true }))
+      .then(() => {
+        throw new Error('should have failed!')
+      }, (err) => {
+        assert(err instanceof JSDataDocumentDB.ConflictError)
+      })
+  })
+})
+
+describe('time-to-live', function () {
+  it('should create collections with the mapper\'s default ttl', function () {
+    return this.$$adapter.waitForCollection({ name: 'session', defaultTtl: 3600 })
+      .then((collection) => {
+        assert.equal(collection.defaultTtl, 3600)
+      })
+  })
+  it('should set the ttl of written documents', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+
+    return adapter.create(User, { name: 'John' }, { ttl: 60 })
+      .then((user) => {
+        assert.equal(user.ttl, 60)
+        return adapter.update(User, user.id, { age: 30 }, { ttl: 120 })
+      })
+      .then((user) => {
+        assert.equal(user.ttl, 120)
+        return adapter.upsert(User, { id: user.id, name: 'Johnny' }, { ttl: -1 })
+      })
+      .then((user) => {
+        assert.equal(user.ttl, -1)
+      })
+  })
+  it('should update the default ttl of a collection', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+    const now = Date.now()
+
+    return adapter.create(User, { name: 'John' }, { ttl: 60 })
+      .then(() => adapter.create(User, { name: 'Sally' }))
+      .then(() => adapter.updateTtl(User, -1))
+      .then((collection) => {
+        assert.equal(collection.defaultTtl, -1)
+        sinon.stub(Date, 'now', () => now + 120000)
+        return adapter.findAll(User)
+      })
+      .then((users) => {
+        Date.now.restore()
+        assert.deepEqual(users.map((user) => user.name), ['Sally'])
+        return adapter.updateTtl(User, null)
+      }, (err) => {
+        Date.now.restore()
+        throw err
+      })
+      .then((collection) => {
+        assert.isUndefined(collection.defaultTtl)
+      })
+  })
+})
+
+describe('attachments', function () {
+  const stream = function (content) {
+    const readable = new Readable()
+    readable.push(content)
+    readable.push(null)
+    return readable
+  }
+  it('should manage references to external media', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+    let id
+
+    return adapter.create(User, { name: 'John' })
+      .then((user) => {
+        id = user.id
+        return adapter.createAttachment(User, id, { id: 'cv', contentType: 'application/pdf', media: 'https://example.com/cv.pdf' })
+      })
+      .then((attachment) => {
+        assert.equal(attachment.media, 'https://example.com/cv.pdf')
+        return adapter.replaceAttachment(User, id, { id: 'cv', contentType: 'application/pdf', media: 'https://example.com/cv2.pdf' })
+      })
+      .then(() => adapter.readAttachment(User, id, 'cv', { media: true }))
+      .then((attachment) => {
+        assert.equal(attachment.media, 'https://example.com/cv2.pdf')
+        assert.isUndefined(attachment.content)
+        return adapter.destroyAttachment(User, id, 'cv')
+      })
+      .then(() => adapter.findAttachments(User, id))
+      .then((attachments) => {
+        assert.deepEqual(attachments, [])
+      })
+  })
+  it('should upload and replace media', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+    let id
+
+    return adapter.create(User, { name: 'John' })
+      .then((user) => {
+        id = user.id
+        return adapter.createAttachment(User, id, { id: 'notes', contentType: 'text/plain', media: stream('hello') })
+      })
+      .then(() => adapter.readAttachment(User, id, 'notes', { media: true }))
+      .then((attachment) => {
+        assert.equal(attachment.contentType, 'text/plain')
+        assert.equal(attachment.content, 'hello')
+        return adapter.replaceAttachment(User, id, { id: 'notes', media: stream('goodbye') })
+      })
+      .then(() => adapter.readAttachment(User, id, 'notes', { media: true }))
+      .then((attachment) => {
+        assert.equal(attachment.content, 'goodbye')
+      })
+  })
+  it('should remove attachments along with their record', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+    let id
+
+    return adapter.create(User, { name: 'John' })
+      .then((user) => {
+        id = user.id
+        return adapter.createAttachment(User, id, { id: 'notes', contentType: 'text/plain', media: stream('hello') })
+      })
+      .then(() => adapter.findAttachments(User, id))
+      .then((attachments) => {
+        assert.deepEqual(attachments.map((attachment) => attachment.id), ['notes'])
+        return adapter.destroy(User, id)
+      })
+      .then(() => adapter.create(User, { id, name: 'John' }))
+      .then(() => adapter.findAttachments(User, id))
+      .then((attachments) => {
+        assert.deepEqual(attachments, [])
+        return adapter.readAttachment(User, id, 'notes')
+      })
+      .then((attachment) => {
+        assert.isUndefined(attachment)
+      })
+  })
+})
+
+describe('DocumentDBAdapter#watch', function () {
+  ;['feed', 'poll'].forEach((mode) => {
+    it(`should deliver changes in order and resume from the checkpoint (${mode})`, function () {
+      const User = this.$$User
+      const adapter = this.$$adapter
+      const batches = []
+      const handler = (users) => {
+        const names = users.map((user) => user.name)
+        // Polling only orders records to the second
+        batches.push(mode === 'poll' ? names.sort().reverse() : names)
+      }
+
+      return adapter.create(User, { name: 'John' })
+        .then((john) => adapter.create(User, { name: 'Sally' }).then(() => adapter.update(User, john.id, { age: 30 })))
+        .then(() => adapter.watch(User, handler, { mode, name: 'test' }).poll())
+        .then((count) => {
+          assert.equal(count, 2)
+          assert.deepEqual(batches, [['Sally', 'John']])
+          return adapter.create(User, { name: 'Mike' })
+        })
+        .then(() => {
+          const watcher = adapter.watch(User, handler, { mode, name: 'test' })
+          return watcher.poll().then(() => watcher.poll()).then((count) => {
+            assert.equal(count, 0)
+            assert.equal(watcher.checkpoint.mode, mode)
+          })
+        })
+        .then(() => {
+          assert.deepEqual(batches, [['Sally', 'John'], ['Mike']])
+        })
+    })
+  })
+  it('should poll a page at a time', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+    const batches = []
+    const watcher = adapter.watch(User, (users) => {
+      batches.push(users.map((user) => user.name))
+    }, { mode: 'poll', pageSize: 1 })
+
+    return adapter.create(User, { name: 'John' })
+      .then(() => adapter.create(User, { name: 'Sally' }))
+      .then(() => watcher.poll())
+      .then((count) => {
+        assert.equal(count, 1)
+        return watcher.poll()
+      })
+      .then((count) => {
+        assert.equal(count, 1)
+        return watcher.poll()
+      })
+      .then((count) => {
+        assert.equal(count, 0)
+        assert.deepEqual(batches.map((batch) => batch[0]).sort(), ['John', 'Sally'])
+        assert.deepEqual(batches.map((batch) => batch.length), [1, 1])
+      })
+  })
+  it('should hydrate records', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+    let users
+
+    return adapter.create(User, { name: 'John' })
+      .then(() => adapter.watch(User, (_users) => {
+        users = _users
+      }).poll())
+      .then(() => {
+        assert(User.is(users[0]))
+      })
+  })
+  it('should deliver a batch again if the handler fails', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+    let calls = 0
+    const watcher = adapter.watch(User, () => {
+      if (++calls === 1) {
+        throw new Error('oops')
+      }
+    })
+
+    return adapter.create(User, { name: 'John' })
+      .then(() => watcher.poll())
+      .then(() => {
+        throw new Error('should have failed!')
+      }, (err) => {
+        assert.equal(err.message, 'oops')
+        return watcher.poll()
+      })
+      .then((count) => {
+        assert.equal(count, 1)
+        assert.equal(calls, 2)
+      })
+  })
+  it('should fall back to polling without a change feed', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+    let users
+
+    sinon.stub(adapter.client, 'readDocuments', () => {
+      return { executeNext: (callback) => callback({ code: 400 }) }
+    })
+    return adapter.create(User, { name: 'John' })
+      .then(() => adapter.watch(User, (_users) => {
+        users = _users
+      }).poll())
+      .then(() => {
+        adapter.client.readDocuments.restore()
+        assert.deepEqual(users.map((user) => user.name), ['John'])
+      }, (err) => {
+        adapter.client.readDocuments.restore()
+        throw err
+      })
+  })
+  it('should start and stop', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+    const names = []
+    const watcher = adapter.watch(User, (users) => {
+      users.forEach((user) => names.push(user.name))
+    }, { interval: 10 })
+
+    return watcher.start()
+      .then(() => adapter.create(User, { name: 'John' }))
+      .then(() => new Promise((resolve) => setTimeout(resolve, 100)))
+      .then(() => watcher.stop())
+      .then(() => {
+        assert.deepEqual(names, ['John'])
+        return adapter.create(User, { name: 'Sally' })
+      })
+      .then(() => new Promise((resolve) => setTimeout(resolve, 50)))
+      .then(() => {
+        assert.deepEqual(names, ['John'])
+      })
+  })
+})
+
+describe('migrations', function () {
+  beforeEach(function () {
+    this.$$Post = this.$$container.defineMapper('post')
+    this.$$PostV2 = this.$$container.defineMapper('postV2', {
+      collection: 'post',
+      migrations: [{
+        version: 2,
+        up: (post) => Promise.resolve(Object.assign({}, post, { tags: post.tags.split(',') }))
+      }, {
+        version: 1,
+        up: (post) => {
+          post.tags || (post.tags = '')
+        }
+      }]
+    })
+  })
+  it('should validate the migrations', function () {
+    const adapter = this.$$adapter
+
+    assert.deepEqual(adapter.getMigrations(this.$$PostV2).map((migration) => migration.version), [1, 2])
+    assert.throws(() => adapter.getMigrations({ migrations: [{ version: 1, up () {} }, { version: 1, up () {} }] }), Error, 'Duplicate migration version: 1')
+    assert.throws(() => adapter.getMigrations({ migrations: [{ version: 0, up () {} }] }), Error, 'Invalid migration version: 0')
+  })
+  it('should migrate every document a page at a time and record the version', function () {
+    const adapter = this.$$adapter
+    const PostV2 = this.$$PostV2
+
+    return adapter.createMany(this.$$Post, [{ title: 'a', tags: 'x,y' }, { title: 'b' }, { title: 'c', tags: 'z' }])
+      .then(() => adapter.migrate(PostV2, { pageSize: 2 }))
+      .then((result) => {
+        assert.deepEqual(result, { version: 2, migrated: 3 })
+        return adapter.findAll(PostV2, { orderBy: 'title' })
+      })
+      .then((posts) => {
+        assert.deepEqual(posts.map((post) => post.tags), [['x', 'y'], [''], ['z']])
+        assert.deepEqual(posts.map((post) => post._schemaVersion), [2, 2, 2])
+        return adapter._readMeta(PostV2, 'migrations.post', {})
+      })
+      .then((meta) => {
+        assert.equal(meta.version, 2)
+        assert.deepEqual(meta.applied.map((step) => step.version), [1, 2])
+        assert.isUndefined(meta.progress)
+        return adapter.migrate(PostV2)
+      })
+      .then((result) => {
+        assert.deepEqual(result, { version: 2, migrated: 0 })
+      })
+  })
+  it('should stamp new documents with the latest version', function () {
+    const adapter = this.$$adapter
+
+    return adapter.create(this.$$PostV2, { title: 'a', tags: ['x'] })
+      .then((post) => {
+        assert.equal(post._schemaVersion, 2)
+      })
+  })
+  it('should resume after a failed migration', function () {
+    const adapter = this.$$adapter
+    const PostV2 = this.$$PostV2
+    let fail = true
+    PostV2.migrations.push({
+      version: 3,
+      up: (post) => {
+        if (fail && post.title === 'b') {
+          throw new Error('boom')
+        }
+        post.title = post.title.toUpperCase()
+      }
+    })
+
+    return adapter.createMany(this.$$Post, [{ title: 'a' }, { title: 'b' }])
+      .then(() => adapter.migrate(PostV2, { concurrency: 1 }))
+      .then(() => {
+        throw new Error('should have failed')
+      }, (err) => {
+        assert(err instanceof JSDataDocumentDB.BulkWriteError)
+        assert.equal(err.errors[0].error.message, 'boom')
+        fail = false
+        return adapter.migrate(PostV2)
+      })
+      .then((result) => {
+        assert.equal(result.version, 3)
+        return adapter.findAll(PostV2, { orderBy: 'title' })
+      })
+      .then((posts) => {
+        assert.deepEqual(posts.map((post) => post.title), ['A', 'B'])
+      })
+  })
+  it('should give up on documents that keep changing', function () {
+    const adapter = this.$$adapter
+    const PostV2 = this.$$PostV2
+
+    return adapter.create(this.$$Post, { title: 'a' })
+      .then(() => {
+        sinon.stub(adapter, '_replace', (mapper, document) => Promise.reject(new JSDataDocumentDB.ConflictError(document.id)))
+        return adapter.migrate(PostV2, { optimisticRetries: 2 })
+      })
+      .then(() => {
+        throw new Error('should have failed')
+      }, (err) => {
+        const calls = adapter._replace.callCount
+        adapter._replace.restore()
+        assert(err instanceof JSDataDocumentDB.BulkWriteError)
+        assert(err.errors[0].error instanceof JSDataDocumentDB.ConflictError)
+        assert.equal(calls, 3)
+      })
+  })
+  it('should upgrade documents as they are read', function () {
+    const adapter = this.$$adapter
+    const PostV2 = this.$$PostV2
+    let id
+
+    return adapter.create(this.$$Post, { title: 'a', tags: 'x' })
+      .then((post) => {
+        id = post.id
+        return adapter.find(PostV2, id)
+      })
+      .then((post) => {
+        assert.equal(post.tags, 'x', 'upgradeOnRead is off by default')
+        return adapter.find(PostV2, id, { upgradeOnRead: true })
+      })
+      .then((post) => {
+        assert.deepEqual(post.tags, ['x'])
+        assert.equal(post._schemaVersion, 2)
+        return adapter.find(this.$$Post, id)
+      })
+      .then((post) => {
+        assert.deepEqual(post.tags, ['x'], 'the upgraded document was saved')
+      })
+  })
+})
+
+describe('tenant routing', function () {
+  beforeEach(function () {
+    this.$$tenantAdapter = new JSDataDocumentDB.DocumentDBAdapter({
+      client: new LocalDocumentClient(),
+      documentOpts: { db: 'test' },
+      maxCachedCollections: 2,
+      resolveDb: (mapper, opts) => opts.region ? `test_${opts.region}` : 'test',
+      resolveCollection: (mapper, opts) => opts.tenantId ? `${mapper.name}_${opts.tenantId}` : mapper.name
+    })
+  })
+  it('should route every request with the resolvers', function () {
+    const User = this.$$User
+    const adapter = this.$$tenantAdapter
+    const acme = { tenantId: 'acme', region: 'eu' }
+    const globex = { tenantId: 'globex' }
+    let john
+
+    return adapter.create(User, { name: 'John', age: 30 }, acme)
+      .then((user) => {
+        john = user
+        return adapter.createMany(User, [{ name: 'Sally', age: 30 }, { name: 'Mike', age: 20 }], globex)
+      })
+      .then(() => adapter.findAll(User, { age: 30 }, acme))
+      .then((users) => {
+        assert.deepEqual(users.map((user) => user.name), ['John'])
+        return adapter.update(User, john.id, { age: 31 }, acme)
+      })
+      .then(() => adapter.find(User, john.id, globex))
+      .then((user) => {
+        assert.isUndefined(user)
+        return adapter.count(User, { age: { '>=': 30 } }, globex)
+      })
+      .then((count) => {
+        assert.equal(count, 1)
+        return adapter.destroy(User, john.id, acme)
+      })
+      .then(() => new Promise((resolve, reject) => {
+        adapter.client.readDocuments('dbs/test/colls/user_globex').toArray((err, documents) => err ? reject(err) : resolve(documents))
+      }))
+      .then((documents) => {
+        assert.equal(documents.length, 2)
+        return adapter.findAll(User, {}, acme)
+      })
+      .then((users) => {
+        assert.equal(users.length, 0)
+      })
+  })
+  it('should let opts.db and opts.collection override the resolvers', function () {
+    const User = this.$$User
+    const adapter = this.$$tenantAdapter
+
+    return adapter.create(User, { name: 'John' }, { tenantId: 'acme', db: 'other', collection: 'people' })
+      .then(() => adapter.findAll(User, { name: 'John' }, { db: 'other', collection: 'people' }))
+      .then((users) => {
+        assert.equal(users.length, 1)
+      })
+  })
+  it('should keep the meta documents with the tenant\'s database', function () {
+    const User = this.$$User
+    const adapter = this.$$tenantAdapter
+    const opts = { tenantId: 'acme', region: 'eu' }
+
+    return adapter.create(User, { name: 'John' }, opts)
+      .then(() => adapter.watch(User, () => {}, opts).poll())
+      .then(() => adapter._readMeta(User, 'watch.user_acme.default', opts))
+      .then((meta) => {
+        assert(meta.checkpoint)
+        assert(adapter.collections.test_eu.js_data_meta)
+      })
+  })
+  it('should only cache the most recently used collections', function () {
+    const User = this.$$User
+    const adapter = this.$$tenantAdapter
+    const readCollections = sinon.spy(adapter.client, 'readCollections')
+
+    return adapter.waitForCollection(User, { tenantId: 'a' })
+      .then(() => adapter.waitForCollection(User, { tenantId: 'b', region: 'eu' }))
+      .then(() => adapter.waitForCollection(User, { tenantId: 'a' }))
+      .then(() => adapter.waitForCollection(User, { tenantId: 'c' }))
+      .then(() => {
+        assert.deepEqual(Object.keys(adapter.collections), ['test'])
+        assert.deepEqual(Object.keys(adapter.collections.test).sort(), ['user_a', 'user_c'])
+        assert.deepEqual(Object.keys(adapter.databases), ['test'])
+        assert.equal(readCollections.callCount, 3)
+        return adapter.waitForCollection(User, { tenantId: 'b', region: 'eu' })
+      })
+      .then(() => {
+        readCollections.restore()
+        assert.equal(readCollections.callCount, 4)
+        assert.deepEqual(Object.keys(adapter.collections.test), ['user_c'])
+      })
+  })
+})
+
+describe('shared collections', function () {
+  beforeEach(function () {
+    this.$$Cat = this.$$container.defineMapper('cat', { sharedCollection: 'animals', typeField: 'kind' })
+    this.$$Dog = this.$$container.defineMapper('dog', { sharedCollection: 'animals', typeField: 'kind' })
+  })
+  it('should stamp the type of the documents of each mapper', function () {
+    const adapter = this.$$adapter
+
+    return adapter.create(this.$$Cat, { name: 'Tom', age: 3 })
+      .then(() => adapter.createMany(this.$$Dog, [{ name: 'Rex', age: 5 }, { name: 'Fido', age: 2 }]))
+      .then(() => adapter.upsert(this.$$Cat, { id: 'felix', name: 'Felix', age: 4 }))
+      .then(() => new Promise((resolve, reject) => {
+        adapter.client.queryDocuments('dbs/test/colls/animals', 'SELECT * FROM a ORDER BY a.name').toArray((err, documents) => err ? reject(err) : resolve(documents))
+      }))
+      .then((documents) => {
+        assert.deepEqual(documents.map((document) => `${document.name}:${document.kind}`), ['Felix:cat', 'Fido:dog', 'Rex:dog', 'Tom:cat'])
+      })
+  })
+  it('should only select the documents of the mapper', function () {
+    const adapter = this.$$adapter
+    const Cat = this.$$Cat
+    const Dog = this.$$Dog
+
+    return adapter.createMany(Cat, [{ name: 'Tom', age: 3 }, { name: 'Felix', age: 4 }])
+      .then(() => adapter.createMany(Dog, [{ name: 'Rex', age: 5 }, { name: 'Fido', age: 2 }]))
+      .then(() => adapter.findAll(Cat, { orderBy: 'name' }))
+      .then((cats) => {
+        assert.deepEqual(cats.map((cat) => cat.name), ['Felix', 'Tom'])
+        return adapter.findAll(Dog, { age: { '>': 2 } })
+      })
+      .then((dogs) => {
+        assert.deepEqual(dogs.map((dog) => dog.name), ['Rex'])
+        return adapter.count(Dog)
+      })
+      .then((count) => {
+        assert.equal(count, 2)
+        return adapter.sum(Cat, 'age')
+      })
+      .then((sum) => {
+        assert.equal(sum, 7)
+        return adapter.updateAll(Dog, { age: 1 })
+      })
+      .then((dogs) => {
+        assert.equal(dogs.length, 2)
+        return adapter.destroyAll(Cat, { name: 'Tom' })
+      })
+      .then(() => adapter.findAll(Cat, { orderBy: 'name' }))
+      .then((cats) => {
+        assert.deepEqual(cats.map((cat) => `${cat.name}:${cat.age}`), ['Felix:4'])
+        return adapter.sum(Dog, 'age')
+      })
+      .then((sum) => {
+        assert.equal(sum, 2)
+      })
+  })
+  it('should not find a document of another mapper by id', function () {
+    const adapter = this.$$adapter
+    let id
+
+    return adapter.create(this.$$Dog, { name: 'Rex' })
+      .then((dog) => {
+        id = dog.id
+        return adapter.find(this.$$Cat, id)
+      })
+      .then((cat) => {
+        assert.isUndefined(cat)
+        return adapter.find(this.$$Dog, id)
+      })
+      .then((dog) => {
+        assert.equal(dog.name, 'Rex')
+      })
+  })
+  it('should require a type field', function () {
+    assert.throws(() => this.$$adapter.getDiscriminator({ name: 'cat', sharedCollection: 'animals' }), Error, 'Mapper cat shares the animals collection but has no typeField!')
+  })
+})
+
+describe('soft delete', function () {
+  beforeEach(function () {
+    this.$$Note = this.$$container.defineMapper('note', { softDelete: true })
+  })
+  it('should mark destroyed records as deleted and leave them out of reads', function () {
+    const adapter = this.$$adapter
+    const Note = this.$$Note
+    let id
+
+    return adapter.createMany(Note, [{ title: 'a' }, { title: 'b' }])
+      .then((notes) => {
+        id = notes[0].id
+        return adapter.destroy(Note, id)
+      })
+      .then(() => adapter.find(Note, id))
+      .then((note) => {
+        assert.isUndefined(note)
+        return adapter.findAll(Note, { orderBy: 'title' })
+      })
+      .then((notes) => {
+        assert.deepEqual(notes.map((note) => note.title), ['b'])
+        return adapter.count(Note)
+      })
+      .then((count) => {
+        assert.equal(count, 1)
+        return adapter.find(Note, id, { withDeleted: true })
+      })
+      .then((note) => {
+        assert.equal(note.title, 'a')
+        assert.isString(note.deletedAt)
+        return adapter.findAll(Note, { orderBy: 'title' }, { withDeleted: true })
+      })
+      .then((notes) => {
+        assert.deepEqual(notes.map((note) => note.title), ['a', 'b'])
+      })
+  })
+  ;[false, true].forEach((atomic) => {
+    it(`should soft-delete the records that match the query${atomic ? ' atomically' : ''}`, function () {
+      const adapter = this.$$adapter
+      const Note = this.$$Note
+
+      return adapter.createMany(Note, [{ title: 'a', n: 1 }, { title: 'b', n: 2 }, { title: 'c', n: 3 }])
+        .then(() => adapter.destroyAll(Note, { n: { '>': 1 } }, { atomic }))
+        .then(() => adapter.findAll(Note, {}))
+        .then((notes) => {
+          assert.deepEqual(notes.map((note) => note.title), ['a'])
+          return adapter.count(Note, {}, { withDeleted: true })
+        })
+        .then((count) => {
+          assert.equal(count, 3)
+        })
+    })
+  })
+  it('should restore and purge records', function () {
+    const adapter = this.$$adapter
+    const Note = this.$$Note
+    let ids
+
+    return adapter.createMany(Note, [{ title: 'a' }, { title: 'b' }, { title: 'c' }])
+      .then((notes) => {
+        ids = notes.map((note) => note.id)
+        return adapter.destroyAll(Note)
+      })
+      .then(() => adapter.restore(Note, ids[1]))
+      .then((note) => {
+        assert.equal(note.title, 'b')
+        assert.isUndefined(note.deletedAt)
+        return adapter.restore(Note, ids[1], { raw: true })
+      })
+      .then((result) => {
+        assert.equal(result.restored, 0)
+        return adapter.purge(Note, { title: { '!=': 'c' } })
+      })
+      .then(() => adapter.findAll(Note, {}, { withDeleted: true }))
+      .then((notes) => {
+        assert.deepEqual(notes.map((note) => note.title), ['c'])
+        return adapter.restore(Note, ids[0])
+      })
+      .then(() => {
+        throw new Error('should have failed')
+      }, (err) => {
+        assert.equal(err.message, 'Not Found')
+      })
+  })
+  it('should allow opts.softDelete to override the mapper', function () {
+    const adapter = this.$$adapter
+    const User = this.$$User
+    let id
+
+    return adapter.create(User, { name: 'John' })
+      .then((user) => {
+        id = user.id
+        return adapter.destroy(User, id, { softDelete: true })
+      })
+      .then(() => adapter.find(User, id))
+      .then((user) => {
+        assert.isString(user.deletedAt, 'the mapper does not hide soft-deleted records')
+      })
+  })
+})
+
+describe('optimistic concurrency', function () {
+  afterEach(function () {
+    const client = this.$$adapter.client
+    ;['readDocument', 'replaceDocument', 'deleteDocument'].forEach((method) => {
+      if (client[method].restore) {
+        client[method].restore()
+      }
+    })
+  })
+  it('should retry the read-merge-replace cycle after a conflict', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+    let etag = 'a'
+
+    sinon.stub(adapter.client, 'readDocument', (docLink, options, callback) => {
+      callback(null, { id: '1', name: 'John', _etag: etag })
+    })
+    sinon.stub(adapter.client, 'replaceDocument', (docLink, document, options, callback) => {
+      if (options.accessCondition.condition === 'a') {
+        etag = 'b'
+        return callback({ code: 412 })
+      }
+      callback(null, document)
+    })
+    return adapter.update(User, '1', { age: 30 }, { optimistic: true })
+      .then((user) => {
+        assert.equal(user.age, 30)
+        assert.equal(adapter.client.replaceDocument.callCount, 2)
+        assert.deepEqual(adapter.client.replaceDocument.secondCall.args[2].accessCondition, { type: 'IfMatch', condition: 'b' })
+      })
+  })
+  it('should only update documents that still match the query after a conflict', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+    const replaceDocument = adapter.client.replaceDocument
+    let id
+
+    sinon.stub(adapter.client, 'replaceDocument', function (docLink, document, options, callback) {
+      if (adapter.client.replaceDocument.callCount === 1) {
+        // Another writer moves the document out of the selection first
+        return replaceDocument.call(this, docLink, Object.assign({}, document, { name: 'John', age: 31 }), {}, () => callback({ code: 412 }))
+      }
+      return replaceDocument.apply(this, arguments)
+    })
+    return adapter.create(User, { name: 'John', age: 30 })
+      .then((user) => {
+        id = user.id
+        return adapter.updateAll(User, { name: 'Johnny' }, { where: { age: { '==': 30 } } }, { optimistic: true })
+      })
+      .then((users) => {
+        assert.deepEqual(users, [])
+        assert.equal(adapter.client.replaceDocument.callCount, 1)
+        return adapter.find(User, id)
+      })
+      .then((user) => {
+        assert.equal(user.name, 'John')
+        assert.equal(user.age, 31)
+      })
+  })
+  it('should reject with a ConflictError when retries run out', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+
+    sinon.stub(adapter.client, 'readDocument', (docLink, options, callback) => {
+      callback(null, { id: '1', _etag: 'a' })
+    })
+    sinon.stub(adapter.client, 'replaceDocument', (docLink, document, options, callback) => {
+      callback({ code: 412 })
+    })
+    return adapter.update(User, '1', { age: 30 }, { optimistic: true, optimisticRetries: 1 })
+      .then(() => {
+        throw new Error('should have failed!')
+      }, (err) => {
+        assert(err instanceof JSDataDocumentDB.ConflictError)
+        assert.equal(err.id, '1')
+        assert.equal(adapter.client.replaceDocument.callCount, 2)
+      })
+  })
+  it('should not retry writes against the caller\'s etag', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+
+    sinon.stub(adapter.client, 'readDocument', (docLink, options, callback) => {
+      callback(null, { id: '1', _etag: 'b' })
+    })
+    sinon.spy(adapter.client, 'replaceDocument')
+    return adapter.update(User, '1', { age: 30 }, { optimistic: true, etag: 'a' })
+      .then(() => {
+        throw new Error('should have failed!')
+      }, (err) => {
+        assert(err instanceof JSDataDocumentDB.ConflictError)
+        assert.equal(adapter.client.replaceDocument.callCount, 0)
+      })
+  })
+  it('should destroy with an access condition', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+
+    sinon.stub(adapter.client, 'deleteDocument', (docLink, options, callback) => {
+      callback({ code: 412 })
+    })
+    return adapter.destroy(User, '1', { optimistic: true, etag: 'a' })
+      .then(() => {
+        throw new Error('should have failed!')
+      }, (err) => {
+        assert(err instanceof JSDataDocumentDB.ConflictError)
+        assert.deepEqual(adapter.client.deleteDocument.firstCall.args[1].accessCondition, { type: 'IfMatch', condition: 'a' })
+      })
+  })
+  it('should destroy against the stored etag without opts.etag', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+
+    sinon.stub(adapter.client, 'readDocument', (docLink, options, callback) => {
+      callback(null, { id: '1', _etag: 'b' })
+    })
+    sinon.stub(adapter.client, 'deleteDocument', (docLink, options, callback) => {
+      callback({ code: 412 })
+    })
+    return adapter.destroy(User, '1', { optimistic: true })
+      .then(() => {
+        throw new Error('should have failed!')
+      }, (err) => {
+        assert(err instanceof JSDataDocumentDB.ConflictError)
+        assert.equal(err.id, '1')
+        assert.deepEqual(adapter.client.deleteDocument.firstCall.args[1].accessCondition, { type: 'IfMatch', condition: 'b' })
+      })
+  })
+  it('should destroy unchanged records optimistically', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+    let id
+
+    return adapter.create(User, { name: 'John' })
+      .then((user) => {
+        id = user.id
+        return adapter.destroy(User, id, { optimistic: true })
+      })
+      .then(() => adapter.find(User, id))
+      .then((user) => {
+        assert.isUndefined(user)
+      })
+  })
+})
+
+describe('partitioned collections', function () {
+  beforeEach(function () {
+    this.$$Invoice = this.$$container.defineMapper('invoice', {
+      partitionKey: '/tenantId'
+    })
+  })
+  afterEach(function () {
+    const client = this.$$adapter.client
+    ;['createCollection', 'createDocument', 'readDocument', 'queryDocuments'].forEach((method) => {
+      if (client[method].restore) {
+        client[method].restore()
+      }
+    })
+  })
+  it('should create collections with a partition key', function () {
+    const adapter = this.$$adapter
+
+    sinon.spy(adapter.client, 'createCollection')
+    return adapter.waitForCollection(this.$$Invoice, { db: 'partitioned' })
+      .then(() => {
+        assert.deepEqual(adapter.client.createCollection.firstCall.args[1], {
+          id: 'invoice',
+          partitionKey: { paths: ['/tenantId'], kind: 'Hash' }
+        })
+      })
+  })
+  it('should pass the partition key of point operations', function () {
+    const adapter = this.$$adapter
+
+    sinon.spy(adapter.client, 'createDocument')
+    sinon.spy(adapter.client, 'readDocument')
+    return adapter.create(this.$$Invoice, { tenantId: 'acme', total: 10 })
+      .then((invoice) => {
+        assert.equal(adapter.client.createDocument.firstCall.args[2].partitionKey, 'acme')
+        return adapter.find(this.$$Invoice, invoice.id, { partitionKey: 'acme' })
+      })
+      .then((invoice) => {
+        assert.equal(invoice.total, 10)
+        assert.equal(adapter.client.readDocument.firstCall.args[1].partitionKey, 'acme')
+      })
+  })
+  it('should find records by id across partitions', function () {
+    const adapter = this.$$adapter
+
+    sinon.spy(adapter.client, 'queryDocuments')
+    return adapter.create(this.$$Invoice, { tenantId: 'acme', total: 10 })
+      .then((invoice) => adapter.find(this.$$Invoice, invoice.id))
+      .then((invoice) => {
+        assert.equal(invoice.total, 10)
+        assert.isTrue(adapter.client.queryDocuments.firstCall.args[2].enableCrossPartitionQuery)
+      })
+  })
+  it('should scope queries to a partition when possible', function () {
+    const adapter = this.$$adapter
+    const Invoice = this.$$Invoice
+
+    assert.deepEqual(adapter.getFeedOpts(Invoice, { tenantId: 'acme' }), { partitionKey: 'acme' })
+    assert.deepEqual(adapter.getFeedOpts(Invoice, { where: { tenantId: { '==': 'acme' }, total: { '>': 5 } } }), { partitionKey: 'acme' })
+    assert.deepEqual(adapter.getFeedOpts(Invoice, { where: { tenantId: { 'in': ['acme'] } } }), { enableCrossPartitionQuery: true })
+    assert.deepEqual(adapter.getFeedOpts(Invoice, {}, { partitionKey: 'acme' }), { partitionKey: 'acme' })
+    assert.deepEqual(adapter.getFeedOpts(this.$$User, {}), {})
+  })
+})
+
+describe('indexing policies', function () {
+  beforeEach(function () {
+    this.$$Event = this.$$container.defineMapper('event', {
+      indexingPolicy: {
+        range: ['createdAt'],
+        excluded: ['/payload/*'],
+        mode: 'lazy'
+      }
+    })
+  })
+  afterEach(function () {
+    const client = this.$$adapter.client
+    ;['createCollection', 'replaceCollection'].forEach((method) => {
+      if (client[method].restore) {
+        client[method].restore()
+      }
+    })
+  })
+  it('should expand the shorthand indexing policy', function () {
+    assert.deepEqual(this.$$adapter.getIndexingPolicy(this.$$Event), {
+      automatic: true,
+      indexingMode: 'lazy',
+      includedPaths: [
+        {
+          path: '/createdAt/?',
+          indexes: [
+            { kind: 'Range', dataType: 'Number', precision: -1 },
+            { kind: 'Range', dataType: 'String', precision: -1 }
+          ]
+        },
+        {
+          path: '/*',
+          indexes: [
+            { kind: 'Hash', dataType: 'Number', precision: -1 },
+            { kind: 'Hash', dataType: 'String', precision: 3 }
+          ]
+        }
+      ],
+      excludedPaths: [{ path: '/payload/*' }]
+    })
+    assert.isUndefined(this.$$adapter.getIndexingPolicy(this.$$User))
+  })
+  it('should create collections with the indexing policy', function () {
+    const adapter = this.$$adapter
+
+    sinon.spy(adapter.client, 'createCollection')
+    return adapter.waitForCollection(this.$$Event)
+      .then(() => {
+        assert.deepEqual(adapter.client.createCollection.firstCall.args[1].indexingPolicy, adapter.getIndexingPolicy(this.$$Event))
+      })
+  })
+  it('should replace the indexing policy of existing collections', function () {
+    const adapter = this.$$adapter
+
+    sinon.spy(adapter.client, 'replaceCollection')
+    return adapter.ensureIndexes(this.$$Event)
+      .then(() => {
+        assert.equal(adapter.client.replaceCollection.callCount, 0, 'policy is up to date')
+        this.$$Event.indexingPolicy.range.push('priority')
+        return adapter.ensureIndexes(this.$$Event)
+      })
+      .then((collection) => {
+        assert.equal(adapter.client.replaceCollection.callCount, 1)
+        assert.equal(collection.indexingPolicy.includedPaths[1].path, '/priority/?')
+      })
+  })
+})
+
+describe('user defined functions', function () {
+  afterEach(function () {
+    const client = this.$$adapter.client
+    if (client.createUserDefinedFunction.restore) {
+      client.createUserDefinedFunction.restore()
+    }
+  })
+  it('should register the like user defined function once', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+
+    sinon.spy(adapter.client, 'createUserDefinedFunction')
+    return adapter.waitForCollection(User)
+      .then(() => {
+        assert.equal(adapter.client.createUserDefinedFunction.callCount, 1)
+        assert.equal(adapter.client.createUserDefinedFunction.firstCall.args[1].id, 'jsDataLike')
+        delete adapter.collections[adapter.documentOpts.db]
+        return adapter.create(User, { name: 'John' })
+      })
+      .then(() => adapter.count(User, { name: { iLike: 'j_HN' } }))
+      .then((count) => {
+        assert.equal(count, 1)
+        assert.equal(adapter.client.createUserDefinedFunction.callCount, 1)
+      })
+  })
+  it('should register the user defined functions of the adapter and the mapper', function () {
+    const adapter = this.$$adapter
+    const Score = this.$$container.defineMapper('score', {
+      udfs: [{ id: 'fuzzy', body: function (value, term) { return value.indexOf(term) !== -1 } }]
+    })
+
+    adapter.udfs = [{ id: 'fuzzy', body: 'function () { return false }' }, { id: 'even', body: 'function (value) { return value % 2 === 0 }' }]
+    sinon.spy(adapter.client, 'createUserDefinedFunction')
+    return adapter.waitForCollection(Score)
+      .then(() => {
+        const udfs = adapter.client.createUserDefinedFunction.args.map((args) => args[1])
+        assert.deepEqual(udfs.map((udf) => udf.id), ['jsDataLike', 'fuzzy', 'even'])
+        assert.include(udfs[1].body, 'indexOf')
+        return adapter.create(Score, { name: 'John' })
+      })
+      .then(() => adapter.findAll(Score, { where: { name: { 'udf.fuzzy': 'oh' } } }))
+      .then((scores) => {
+        assert.equal(scores.length, 1)
+      })
+  })
+  it('should call user defined functions from queries', function () {
+    const adapter = this.$$adapter
+    const Score = this.$$container.defineMapper('score', {
+      udfs: [{ id: 'even', body: function (value) { return value % 2 === 0 } }]
+    })
+    adapter.operators = Object.assign({ isEven: JSDataDocumentDB.udfOperator('even') }, adapter.operators)
+
+    assert.deepEqual(adapter.getQuerySpec(Score, { where: { value: { 'udf.even': true } } }), {
+      query: 'SELECT * FROM score WHERE ((udf.even(score["value"], @value)))',
+      parameters: [{ name: '@value', value: true }]
+    })
+    return adapter.createMany(Score, [{ value: 1 }, { value: 2 }, { value: 4 }])
+      .then(() => adapter.findAll(Score, { where: { value: { isEven: true } }, orderBy: 'value' }))
+      .then((scores) => {
+        assert.deepEqual(scores.map((score) => score.value), [2, 4])
+      })
+  })
+  it('should reject invalid ids', function () {
+    assert.throws(() => JSDataDocumentDB.udfOperator('a.b'), 'Invalid user defined function id: a.b')
+  })
+})
+
+describe('triggers', function () {
+  beforeEach(function () {
+    this.$$Post = this.$$container.defineMapper('post', {
+      triggers: [{
+        id: 'stampCreated',
+        triggerType: 'Pre',
+        triggerOperation: 'Create',
+        body: function () {
+          var request = getContext().getRequest()
+          var document = request.getBody()
+          document.stamped = true
+          request.setBody(document)
+        }
+      }, {
+        id: 'requireTitle',
+        triggerType: 'pre',
+        triggerOperation: 'all',
+        body: `function () {
+          var document = getContext().getRequest().getBody()
+          if (document && !document.title) {
+            throw new Error('title is required')
+          }
+        }`
+      }, {
+        id: 'forbidDelete',
+        triggerType: 'post',
+        triggerOperation: 'delete',
+        body: 'function () { throw new Error("nope") }'
+      }]
+    })
+  })
+  it('should register the mapper\'s triggers', function () {
+    const adapter = this.$$adapter
+
+    const createTrigger = sinon.spy(adapter.client, 'createTrigger')
+    return adapter.waitForCollection(this.$$Post)
+      .then(() => {
+        createTrigger.restore()
+        assert.deepEqual(createTrigger.args.map((args) => args[1].id), ['stampCreated', 'requireTitle', 'forbidDelete'])
+        assert.equal(createTrigger.firstCall.args[1].triggerType, 'pre')
+      })
+  })
+  it('should include the matching triggers', function () {
+    const Post = this.$$Post
+    const adapter = this.$$adapter
+    let id
+
+    return adapter.create(Post, { title: 'Hello' })
+      .then((post) => {
+        id = post.id
+        assert.isTrue(post.stamped)
+        return adapter.update(Post, id, { title: '' })
+      })
+      .then(() => {
+        throw new Error('should have failed!')
+      }, (err) => {
+        assert.include(err.body, 'title is required')
+        return adapter.update(Post, id, { title: '' }, { preTriggerInclude: false })
+      })
+      .then((post) => {
+        assert.equal(post.title, '')
+        return adapter.destroy(Post, id)
+      })
+      .then(() => {
+        throw new Error('should have failed!')
+      }, (err) => {
+        assert.include(err.body, 'nope')
+        return adapter.find(Post, id)
+      })
+      .then((post) => {
+        assert.equal(post.id, id)
+        return adapter.destroy(Post, id, { postTriggerInclude: [] })
+      })
+      .then(() => adapter.find(Post, id))
+      .then((post) => {
+        assert.isUndefined(post)
+      })
+  })
+  it('should not override explicit request options', function () {
+    const Post = this.$$Post
+    const adapter = this.$$adapter
+
+    const createDocument = sinon.spy(adapter.client, 'createDocument')
+    return adapter.create(Post, { title: 'Hello' }, { requestOpts: { preTriggerInclude: 'requireTitle' } })
+      .then((post) => {
+        createDocument.restore()
+        assert.isUndefined(post.stamped)
+        assert.equal(createDocument.firstCall.args[2].preTriggerInclude, 'requireTitle')
+      })
+  })
+})
+
+describe('filtering on relations', function () {
+  beforeEach(function () {
+    sinon.stub(this.$$adapter.client, 'queryDocuments', function (collLink, querySpec) {
+      const documents = /colls\/post$/.test(collLink) ? [{ id: 'p1', userId: 'u1' }] : ['u1', 'u2', 'u3']
+      let done = false
+      return {
+        toArray: (callback) => callback(null, documents),
+        hasMoreResults: () => !done,
+        executeNext: (callback) => {
+          done = true
+          callback(null, documents, {})
+        }
+      }
+    })
+  })
+  afterEach(function () {
+    this.$$adapter.client.queryDocuments.restore()
+  })
+  it('should filter on belongsTo relations', function () {
+    const adapter = this.$$adapter
+
+    return adapter.findAll(this.$$Post, { where: { 'user.name': { '==': 'John' }, title: 'foo' } })
+      .then((posts) => {
+        const calls = adapter.client.queryDocuments.getCalls()
+        assert.equal(posts.length, 1)
+        assert.equal(calls[0].args[1].query, 'SELECT VALUE user.id FROM user WHERE ((user.name = @name))')
+        assert.equal(calls[1].args[1].query, 'SELECT * FROM post WHERE ((post.title = @title)) AND ((ARRAY_CONTAINS(@userId, post.userId)))')
+        assert.deepEqual(calls[1].args[1].parameters[1], { name: '@userId', value: ['u1', 'u2', 'u3'] })
+      })
+  })
+  it('should filter on hasOne relations', function () {
+    const adapter = this.$$adapter
+
+    return adapter.count(this.$$User, { 'profile.email': 'john@example.com' })
+      .then(() => {
+        const calls = adapter.client.queryDocuments.getCalls()
+        assert.equal(calls[0].args[1].query, 'SELECT VALUE profile.userId FROM profile WHERE ((profile.email = @email))')
+        assert.equal(calls[1].args[1].query, 'SELECT VALUE COUNT(1) FROM user WHERE ((ARRAY_CONTAINS(@id, user.id)))')
+      })
+  })
+  it('should chunk large key sets', function () {
+    const adapter = this.$$adapter
+
+    return adapter.findAll(this.$$Post, { where: { 'user.age': { '>': 30 } } }, { relationChunkSize: 2 })
+      .then(() => {
+        const querySpec = adapter.client.queryDocuments.secondCall.args[1]
+        assert.equal(querySpec.query, 'SELECT * FROM post WHERE (((ARRAY_CONTAINS(@userId, post.userId))) OR ((ARRAY_CONTAINS(@userId1, post.userId))))')
+        assert.deepEqual(querySpec.parameters, [
+          { name: '@userId', value: ['u1', 'u2'] },
+          { name: '@userId1', value: ['u3'] }
+        ])
+      })
+  })
+})
+
+describe('atomic bulk writes', function () {
+  afterEach(function () {
+    const client = this.$$adapter.client
+    ;['createStoredProcedure', 'executeStoredProcedure'].forEach((method) => {
+      if (client[method].restore) {
+        client[method].restore()
+      }
+    })
+  })
+  it('should register the bulk stored procedure on the first atomic write', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+
+    sinon.spy(adapter.client, 'createStoredProcedure')
+    return adapter.createMany(User, [{ name: 'John' }])
+      .then(() => {
+        assert.equal(adapter.client.createStoredProcedure.callCount, 0)
+        return adapter.createMany(User, [{ name: 'Sally' }], { atomic: true })
+      })
+      .then(() => adapter.destroyAll(User, {}, { atomic: true }))
+      .then(() => {
+        assert.equal(adapter.client.createStoredProcedure.callCount, 1)
+        assert.equal(adapter.client.createStoredProcedure.firstCall.args[1].id, 'jsDataBulk')
+      })
+  })
+  it('should write a batch in a single transaction', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+
+    sinon.spy(adapter.client, 'executeStoredProcedure')
+    return adapter.createMany(User, [{ name: 'John' }, { name: 'Sally' }], { atomic: true })
+      .then((users) => {
+        assert.equal(adapter.client.executeStoredProcedure.callCount, 1)
+        assert.deepEqual(users.map((user) => user.name), ['John', 'Sally'])
+        return adapter.updateAll(User, { active: true }, {}, { atomic: true })
+      })
+      .then((users) => {
+        assert.equal(adapter.client.executeStoredProcedure.callCount, 2)
+        assert.deepEqual(users.map((user) => user.active), [true, true])
+        return adapter.destroyAll(User, {}, { atomic: true })
+      })
+      .then(() => adapter.findAll(User))
+      .then((users) => {
+        assert.equal(users.length, 0)
+      })
+  })
+  it('should continue where the stored procedure ran out of time', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+
+    sinon.stub(adapter.client, 'executeStoredProcedure', function (sprocLink, params, options, callback) {
+      const operation = params[0][0]
+      callback(null, { processed: 1, results: [operation.document] })
+    })
+    return adapter.createMany(User, [{ id: '1' }, { id: '2' }, { id: '3' }], { atomic: true })
+      .then((users) => {
+        const calls = adapter.client.executeStoredProcedure.getCalls()
+        assert.deepEqual(calls.map((call) => call.args[1][0].length), [3, 2, 1])
+        assert.deepEqual(users.map((user) => user.id), ['1', '2', '3'])
+      })
+  })
+  it('should run one transaction per partition', function () {
+    const Invoice = this.$$container.defineMapper('invoice', { partitionKey: '/tenantId' })
+    const adapter = this.$$adapter
+
+    sinon.spy(adapter.client, 'executeStoredProcedure')
+    return adapter.createMany(Invoice, [{ tenantId: 'a' }, { tenantId: 'b' }, { tenantId: 'a' }], { atomic: true })
+      .then((invoices) => {
+        const calls = adapter.client.executeStoredProcedure.getCalls()
+        assert.deepEqual(calls.map((call) => call.args[2].partitionKey), ['a', 'b'])
+        assert.deepEqual(calls.map((call) => call.args[1][0].length), [2, 1])
+        assert.deepEqual(invoices.map((invoice) => invoice.tenantId), ['a', 'b', 'a'])
+      })
+  })
+  it('should reject with a ConflictError when a document changed', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+
+    return adapter.createMany(User, [{ name: 'John', _etag: '1' }, { name: 'Sally', _etag: '1' }])
+      .then((users) => {
+        const records = users.map((user) => ({ id: user.id, _etag: user._etag, active: true }))
+        records[1]._etag = '2'
+        return adapter.updateMany(User, records, { atomic: true, optimistic: true })
+      })
+      .then(() => {
+        throw new Error('should have failed')
+      }, (err) => {
+        assert.instanceOf(err, JSDataDocumentDB.ConflictError)
+        sinon.stub(adapter.client, 'executeStoredProcedure', function (sprocLink, params, options, callback) {
+          callback({ code: 400, body: JSON.stringify({ message: 'Error: jsDataBulk:412:1' }) })
+        })
+        return adapter.destroyAll(User, {}, { atomic: true })
+      })
+      .then(() => {
+        throw new Error('should have failed')
+      }, (err) => {
+        assert.instanceOf(err, JSDataDocumentDB.ConflictError)
+        return adapter.findAll(User)
+      })
+      .then((users) => {
+        assert.equal(users.length, 2)
+      })
+  })
+})
+
+describe('retry policy', function () {
+  afterEach(function () {
+    const client = this.$$adapter.client
+    ;['createDocument', 'queryDocuments'].forEach((method) => {
+      if (client[method].restore) {
+        client[method].restore()
+      }
+    })
+  })
+  const failing = function (errors, result) {
+    return function () {
+      const callback = arguments[arguments.length - 1]
+      const err = errors.shift()
+      setTimeout(() => err ? callback(err) : callback(null, result), 0)
+    }
+  }
+  it('should retry throttled requests after the delay the server asks for', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+    const retries = []
+
+    return adapter.waitForCollection(User)
+      .then(() => {
+        sinon.stub(adapter.client, 'createDocument', failing([
+          { code: 429, retryAfterInMilliseconds: 5 },
+          { code: 503 }
+        ], { id: '1', name: 'John' }))
+        return adapter.create(User, { name: 'John' }, {
+          retry: {
+            baseDelay: 1,
+            onRetry: (err, attempt, delay) => retries.push([err.code, attempt, delay])
+          }
+        })
+      })
+      .then((user) => {
+        assert.equal(user.name, 'John')
+        assert.equal(adapter.client.createDocument.callCount, 3)
+        assert.deepEqual(retries[0], [429, 1, 5])
+        assert.deepEqual(retries[1].slice(0, 2), [503, 2])
+        assert.isAtMost(retries[1][2], 2)
+      })
+  })
+  it('should give up after the maximum number of attempts', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+
+    return adapter.waitForCollection(User)
+      .then(() => {
+        sinon.stub(adapter.client, 'queryDocuments', function () {
+          return { toArray: failing([{ code: 408 }, { code: 408 }, { code: 408 }], []) }
+        })
+        return adapter.findAll(User, {}, { retry: { maxAttempts: 2, baseDelay: 1 } })
+      })
+      .then(() => {
+        throw new Error('should have failed')
+      }, (err) => {
+        assert.equal(err.code, 408)
+        assert.equal(adapter.client.queryDocuments.callCount, 2)
+      })
+  })
+  it('should not retry other errors or when disabled', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+
+    return adapter.waitForCollection(User)
+      .then(() => {
+        sinon.stub(adapter.client, 'createDocument', failing([{ code: 400 }, { code: 429 }]))
+        return adapter.create(User, { name: 'John' })
+      })
+      .catch((err) => {
+        assert.equal(err.code, 400)
+        return adapter.create(User, { name: 'John' }, { retry: false })
+      })
+      .then(() => {
+        throw new Error('should have failed')
+      }, (err) => {
+        assert.equal(err.code, 429)
+        assert.equal(adapter.client.createDocument.callCount, 2)
+      })
+  })
+  it('should reject with the errors thrown by onRetry or by a retried request', function () {
+    const User = this.$$User
+    const adapter = this.$$adapter
+
+    return adapter.waitForCollection(User)
+      .then(() => {
+        sinon.stub(adapter.client, 'createDocument', failing([{ code: 429 }]))
+        return adapter.create(User, { name: 'John' }, {
+          retry: {
+            baseDelay: 1,
+            onRetry: () => {
+              throw new Error('onRetry failed')
+            }
+          }
+        })
+      })
+      .then(() => {
+        throw new Error('should have failed')
+      }, (err) => {
+        assert.equal(err.message, 'onRetry failed')
+        adapter.client.createDocument.restore()
+        let calls = 0
+        sinon.stub(adapter.client, 'createDocument', function () {
+          const callback = arguments[arguments.length - 1]
+          if (++calls > 1) {
+            throw new Error('request failed')
+          }
+          setTimeout(() => callback({ code: 429 }), 0)
+        })
+        return adapter.create(User, { name: 'John' }, { retry: { baseDelay: 1 } })
+      })
+      .then(() => {
+        throw new Error('should have failed')
+      }, (err) => {
+        assert.equal(err.message, 'request failed')
+        assert.equal(adapter.client.createDocument.callCount, 2)
+      })
+  })
+})
+
+describe('bounded concurrency', function () {
+  beforeEach(function () {
+    const adapter = this.$$adapter
+    const createDocument = adapter.client.createDocument
+    const stats = this.$$stats = { pending: 0, maxPending: 0 }
+    sinon.stub(adapter.client, 'createDocument', function (collLink, document, options, callback) {
+      stats.pending++
+      stats.maxPending = Math.max(stats.maxPending, stats.pending)
+      setTimeout(() => {
+        stats.pending--
+        if (document.name === 'fail') {
+          return callback({ code: 400 })
+        }
+        createDocument.call(this, collLink, document, options, callback)
+      }, 1)
+    })
+  })
+  afterEach(function () {
+    this.$$adapter.client.createDocument.restore()
+  })
+  const records = function (count) {
+    const records = []
+    for (let i = 0; i < count; i++) {
+      records.push({ name: `user${i}` })
+    }
+    return records
+  }
+  it('should limit the number of pending writes', function () {
+    return this.$$adapter.createMany(this.$$User, records(20), { concurrency: 3 })
+      .then((users) => {
+        assert.equal(users.length, 20)
+        assert.equal(users[19].name, 'user19')
+        assert.equal(this.$$stats.maxPending, 3)
+      })
+  })
+  it('should write in batches', function () {
+    return this.$$adapter.createMany(this.$$User, records(10), { batchSize: 4, concurrency: 10 })
+      .then((users) => {
+        assert.equal(users.length, 10)
+        assert.equal(this.$$stats.maxPending, 4)
+      })
+  })
+  it('should report every failed write', function () {
+    const props = records(5)
+    props[1].name = 'fail'
+    props[3].name = 'fail'
+    return this.$$adapter.createMany(this.$$User, props, { concurrency: 2 })
+      .then(() => {
+        throw new Error('should have failed')
+      }, (err) => {
+        assert.instanceOf(err, JSDataDocumentDB.BulkWriteError)
+        assert.equal(err.message, '2 of 5 writes failed!')
+        assert.deepEqual(err.errors.map((failure) => failure.index), [1, 3])
+        assert.equal(err.errors[0].error.code, 400)
+        assert.deepEqual(err.results.map((user) => user && user.name), ['user0', undefined, 'user2', undefined, 'user4'])
+      })
+  })
+})
+
+describe('LocalDocumentClient', function () {
+  const call = function (client, method, ...args) {
+    return new Promise((resolve, reject) => {
+      client[method](...args, (err, result) => err ? reject(err) : resolve(result))
+    })
+  }
+  const query = function (client, querySpec, options) {
+    return call(client.queryDocuments('dbs/db/colls/user', querySpec, options), 'toArray')
+  }
+  beforeEach(function () {
+    const client = this.$$client = new LocalDocumentClient()
+    return call(client, 'createDatabase', { id: 'db' })
+      .then(() => call(client, 'createCollection', 'dbs/db', { id: 'user' }))
+      .then(() => Promise.all([
+        { id: '1', name: 'John', age: 30, roles: ['admin'], address: { city: 'Paris' } },
+        { id: '2', name: 'Sally', age: 25, roles: ['dev', 'admin'] },
+        { id: '3', name: 'Mike', age: 35, roles: [], 'first-name': 'Mike' }
+      ].map((user) => call(client, 'createDocument', 'dbs/db/colls/user', user))))
+  })
+  it('should filter, sort and limit documents', function () {
+    const client = this.$$client
+
+    return query(client, {
+      query: 'SELECT TOP 2 * FROM user WHERE (user.age >= @age AND NOT (user.name = @name)) OR ARRAY_CONTAINS(user.roles, @role) ORDER BY user.age DESC',
+      parameters: [{ name: '@age', value: 30 }, { name: '@name', value: 'Mike' }, { name: '@role', value: 'dev' }]
+    })
+      .then((users) => {
+        assert.deepEqual(users.map((user) => user.id), ['1', '2'])
+        return query(client, 'SELECT * FROM user WHERE user.address.city = "Paris" OR user["first-name"] = \'Mike\' ORDER BY user.name')
+      })
+      .then((users) => {
+        assert.deepEqual(users.map((user) => user.id), ['1', '3'])
+      })
+  })
+  it('should project documents and compute aggregates', function () {
+    const client = this.$$client
+
+    return query(client, 'SELECT user.id, user.address.city, user.age AS years FROM user WHERE user.id = "1"')
+      .then((users) => {
+        assert.deepEqual(users, [{ id: '1', city: 'Paris', years: 30 }])
+        return query(client, 'SELECT VALUE user.name FROM user WHERE STARTSWITH(LOWER(user.name), "s")')
+      })
+      .then((names) => {
+        assert.deepEqual(names, ['Sally'])
+        return Promise.all(['COUNT(1)', 'SUM(user.age)', 'AVG(user.age)', 'MIN(user.age)', 'MAX(user.name)'].map((fn) => {
+          return query(client, `SELECT VALUE ${fn} FROM user`)
+        }))
+      })
+      .then((results) => {
+        assert.deepEqual(results, [[3], [90], [30], [25], ['Sally']])
+      })
+  })
+  it('should reject invalid queries', function () {
+    return query(this.$$client, 'SELECT * FROM user WHERE')
+      .then(() => {
+        throw new Error('should have failed')
+      }, (err) => {
+        assert.equal(err.code, 400)
+      })
+  })
+  it('should honor ids, etags and missing documents', function () {
+    const client = this.$$client
+    let etag
+
+    return call(client, 'createDocument', 'dbs/db/colls/user', { id: '1' })
+      .catch((err) => {
+        assert.equal(err.code, 409)
+        return call(client, 'readDocument', 'dbs/db/colls/user/docs/1')
+      })
+      .then((user) => {
+        etag = user._etag
+        assert.isString(etag)
+        return call(client, 'replaceDocument', 'dbs/db/colls/user/docs/1', { id: '1', name: 'Johnny' }, { accessCondition: { type: 'IfMatch', condition: etag } })
+      })
+      .then((user) => {
+        assert.equal(user.name, 'Johnny')
+        assert.notEqual(user._etag, etag)
+        return call(client, 'deleteDocument', 'dbs/db/colls/user/docs/1', { accessCondition: { type: 'IfMatch', condition: etag } })
+      })
+      .catch((err) => {
+        assert.equal(err.code, 412)
+        return call(client, 'deleteDocument', 'dbs/db/colls/user/docs/1')
+      })
+      .then(() => call(client, 'readDocument', 'dbs/db/colls/user/docs/1'))
+      .then(() => {
+        throw new Error('should have failed')
+      }, (err) => {
+        assert.equal(err.code, 404)
+      })
+  })
+  it('should roll back stored procedures that throw', function () {
+    const client = this.$$client
+    const body = function (id) {
+      const collection = getContext().getCollection()
+      collection.createDocument(collection.getSelfLink(), { id: 'new' }, {}, function (err) {
+        if (err) throw err
+        collection.deleteDocument(collection.getAltLink() + '/docs/' + id, {}, function (err) {
+          if (err) throw new Error('missing ' + id)
+        })
+      })
+    }
+
+    return call(client, 'createStoredProcedure', 'dbs/db/colls/user', { id: 'test', body })
+      .then(() => call(client, 'executeStoredProcedure', 'dbs/db/colls/user/sprocs/test', ['4']))
+      .then(() => {
+        throw new Error('should have failed')
+      }, (err) => {
+        assert.equal(err.code, 400)
+        assert.include(err.body, 'Error: missing 4')
+        return call(client, 'readDocument', 'dbs/db/colls/user/docs/new')
+      })
+      .then(() => {
+        throw new Error('should have rolled back')
+      }, (err) => {
+        assert.equal(err.code, 404)
+      })
+  })
+  it('should run the bulk stored procedure within its budget', function () {
+    const adapter = new JSDataDocumentDB.DocumentDBAdapter({
+      client: new LocalDocumentClient({ scriptBudget: 2 }),
+      documentOpts: { db: 'test' }
+    })
+    sinon.spy(adapter.client, 'executeStoredProcedure')
+
+    return adapter.createMany(this.$$User, [{ id: 'a' }, { id: 'b' }, { id: 'c' }], { atomic: true })
+      .then((users) => {
+        assert.deepEqual(users.map((user) => user.id), ['a', 'b', 'c'])
+        assert.equal(adapter.client.executeStoredProcedure.callCount, 2)
+        return adapter.findAll(this.$$User, { orderBy: 'id' })
+      })
+      .then((users) => {
+        assert.deepEqual(users.map((user) => user.id), ['a', 'b', 'c'])
+      })
+  })
 })
@@ -5,7 +5,10 @@ module.exports = {
     'documentdb',
     'js-data',
     'js-data-adapter',
-    'mout/string/underscore'
+    'mout/random/guid',
+    'mout/string/underscore',
+    'stream',
+    'vm'
   ],
   plugins: [
     babel({
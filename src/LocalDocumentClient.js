@@ -0,0 +1,1342 @@
+import { utils } from 'js-data'
+import guid from 'mout/random/guid'
+import vm from 'vm'
+
+const STATUS = {
+  400: 'BadRequest',
+  404: 'NotFound',
+  409: 'Conflict',
+  412: 'PreconditionFailed'
+}
+
+const RESERVED = [
+  'AND', 'AS', 'ASC', 'BY', 'DESC', 'FROM', 'NOT', 'OR', 'ORDER', 'SELECT',
+  'TOP', 'VALUE', 'WHERE'
+]
+
+const AGGREGATES = ['AVG', 'COUNT', 'MAX', 'MIN', 'SUM']
+
+const ESCAPES = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' }
+
+/**
+ * Build an error shaped like the ones returned by DocumentClient.
+ *
+ * @ignore
+ */
+const error = function (code, message) {
+  return { code, body: JSON.stringify({ code: STATUS[code], message }) }
+}
+
+/**
+ * Call a DocumentClient callback asynchronously, like a network request would.
+ *
+ * @ignore
+ */
+const respond = function (callback, err, result, headers) {
+  setTimeout(() => callback(err, result, headers || {}), 0)
+}
+
+/**
+ * Allow the options argument of DocumentClient methods to be omitted.
+ *
+ * @ignore
+ */
+const withOptions = function (args, count) {
+  args = Array.prototype.slice.call(args, 0, count)
+  if (utils.isFunction(args[count - 2])) {
+    args[count - 1] = args[count - 2]
+    args[count - 2] = {}
+  }
+  args[count - 2] || (args[count - 2] = {})
+  return args
+}
+
+const parseLink = function (link) {
+  const parts = `${link}`.split('/').filter((part) => part)
+  return {
+    dbId: parts[1],
+    collectionId: parts[3],
+    type: parts[4],
+    id: parts[5],
+    attachmentId: parts[7]
+  }
+}
+
+/**
+ * Read a stream to the end.
+ *
+ * @ignore
+ */
+const readStream = function (stream, callback) {
+  const chunks = []
+  stream.on('data', (chunk) => chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)))
+  stream.once('error', (err) => callback(err))
+  stream.once('end', () => callback(null, Buffer.concat(chunks)))
+}
+
+const unescape = function (string) {
+  return string.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (match, escape) => {
+    if (escape.length > 1) {
+      return String.fromCharCode(parseInt(escape.substr(1), 16))
+    }
+    return ESCAPES[escape] || escape
+  })
+}
+
+const tokenize = function (sql) {
+  const tokens = []
+  const patterns = [
+    ['param', /^@\w+/],
+    ['number', /^\d+(\.\d+)?([eE][+-]?\d+)?/],
+    ['string', /^"((?:[^"\\]|\\.)*)"/],
+    ['string', /^'((?:[^'\\]|\\.)*)'/],
+    ['identifier', /^[A-Za-z_]\w*/],
+    ['punctuation', /^(!=|<>|>=|<=|[=<>(),.[\]*-])/]
+  ]
+  let i = 0
+  while (i < sql.length) {
+    if (/\s/.test(sql.charAt(i))) {
+      i++
+      continue
+    }
+    const rest = sql.substring(i)
+    let token
+    patterns.forEach((pattern) => {
+      const match = !token && pattern[1].exec(rest)
+      if (match) {
+        let value = match[0]
+        if (pattern[0] === 'number') {
+          value = +value
+        } else if (pattern[0] === 'string') {
+          value = unescape(match[1])
+        }
+        token = { type: pattern[0], value, length: match[0].length }
+      }
+    })
+    if (!token) {
+      throw error(400, `Syntax error, unexpected character "${sql.charAt(i)}" in "${sql}".`)
+    }
+    tokens.push(token)
+    i += token.length
+  }
+  return tokens
+}
+
+/**
+ * Parse the subset of DocumentDB SQL generated by
+ * {@link DocumentDBAdapter#getQuerySpec}.
+ *
+ * @ignore
+ */
+const parse = function (sql) {
+  const tokens = tokenize(sql)
+  let position = 0
+
+  const syntaxError = () => {
+    const token = tokens[position]
+    return error(400, `Syntax error, ${token ? `unexpected "${token.value}"` : 'unexpected end of query'} in "${sql}".`)
+  }
+  const isKeyword = (token, keyword) => {
+    return token && token.type === 'identifier' && token.value.toUpperCase() === keyword
+  }
+  const accept = (value) => {
+    const token = tokens[position]
+    if (token && (token.type === 'punctuation' ? token.value === value : isKeyword(token, value))) {
+      position++
+      return token
+    }
+  }
+  const expect = (value) => {
+    const token = accept(value)
+    if (!token) {
+      throw syntaxError()
+    }
+    return token
+  }
+  const identifier = () => {
+    const token = tokens[position]
+    if (!token || token.type !== 'identifier' || RESERVED.indexOf(token.value.toUpperCase()) !== -1) {
+      throw syntaxError()
+    }
+    position++
+    return token.value
+  }
+
+  let parseExpression
+
+  const parseArguments = () => {
+    const args = []
+    expect('(')
+    if (!accept(')')) {
+      do {
+        args.push(parseExpression())
+      } while (accept(','))
+      expect(')')
+    }
+    return args
+  }
+
+  const parsePrimary = () => {
+    const token = tokens[position]
+    if (!token) {
+      throw syntaxError()
+    }
+    if (accept('(')) {
+      const expression = parseExpression()
+      expect(')')
+      return expression
+    }
+    if (accept('-')) {
+      const operand = tokens[position]
+      if (!operand || operand.type !== 'number') {
+        throw syntaxError()
+      }
+      position++
+      return { type: 'literal', value: -operand.value }
+    }
+    if (token.type === 'number' || token.type === 'string') {
+      position++
+      return { type: 'literal', value: token.value }
+    }
+    if (token.type === 'param') {
+      position++
+      return { type: 'param', name: token.value }
+    }
+    const literals = { TRUE: true, FALSE: false, NULL: null, UNDEFINED: undefined }
+    if (token.type === 'identifier' && literals.hasOwnProperty(token.value.toUpperCase())) {
+      position++
+      return { type: 'literal', value: literals[token.value.toUpperCase()] }
+    }
+    const name = identifier()
+    if (name.toLowerCase() === 'udf' && accept('.')) {
+      return { type: 'udf', name: identifier(), args: parseArguments() }
+    }
+    if (tokens[position] && tokens[position].value === '(') {
+      return { type: 'call', name: name.toUpperCase(), args: parseArguments() }
+    }
+    const path = { type: 'path', root: name, segments: [] }
+    for (;;) {
+      if (accept('.')) {
+        const segment = tokens[position]
+        if (!segment || segment.type !== 'identifier') {
+          throw syntaxError()
+        }
+        position++
+        path.segments.push({ type: 'literal', value: segment.value })
+      } else if (accept('[')) {
+        path.segments.push(parseExpression())
+        expect(']')
+      } else {
+        return path
+      }
+    }
+  }
+
+  const parseComparison = () => {
+    const left = parsePrimary()
+    const token = tokens[position]
+    if (token && token.type === 'punctuation' && ['=', '!=', '<>', '<', '<=', '>', '>='].indexOf(token.value) !== -1) {
+      position++
+      return { type: 'compare', operator: token.value === '<>' ? '!=' : token.value, left, right: parsePrimary() }
+    }
+    return left
+  }
+
+  const parseNot = () => {
+    if (accept('NOT')) {
+      return { type: 'not', operand: parseNot() }
+    }
+    return parseComparison()
+  }
+
+  const parseAnd = () => {
+    let left = parseNot()
+    while (accept('AND')) {
+      left = { type: 'and', left, right: parseNot() }
+    }
+    return left
+  }
+
+  parseExpression = () => {
+    let left = parseAnd()
+    while (accept('OR')) {
+      left = { type: 'or', left, right: parseAnd() }
+    }
+    return left
+  }
+
+  const query = {}
+  expect('SELECT')
+  if (accept('TOP')) {
+    query.top = parsePrimary()
+  }
+  if (accept('*')) {
+    query.select = { type: 'all' }
+  } else if (accept('VALUE')) {
+    query.select = { type: 'value', expression: parseExpression() }
+  } else {
+    const items = []
+    do {
+      const expression = parseExpression()
+      items.push({ expression, alias: accept('AS') ? identifier() : undefined })
+    } while (accept(','))
+    query.select = { type: 'object', items }
+  }
+  expect('FROM')
+  query.alias = identifier()
+  if (accept('WHERE')) {
+    query.where = parseExpression()
+  }
+  if (accept('ORDER')) {
+    expect('BY')
+    query.orderBy = []
+    do {
+      const expression = parseExpression()
+      const descending = !!accept('DESC')
+      if (!descending) {
+        accept('ASC')
+      }
+      query.orderBy.push({ expression, descending })
+    } while (accept(','))
+  }
+  if (position < tokens.length) {
+    throw syntaxError()
+  }
+  return query
+}
+
+/**
+ * Rank of each type in DocumentDB's sort order.
+ *
+ * @ignore
+ */
+const typeRank = function (value) {
+  if (value === undefined) {
+    return 0
+  } else if (value === null) {
+    return 1
+  } else if (utils.isBoolean(value)) {
+    return 2
+  } else if (utils.isNumber(value)) {
+    return 3
+  } else if (utils.isString(value)) {
+    return 4
+  } else if (utils.isArray(value)) {
+    return 5
+  }
+  return 6
+}
+
+const deepEqual = function (a, b) {
+  return typeRank(a) === typeRank(b) && JSON.stringify(a) === JSON.stringify(b)
+}
+
+const compareValues = function (a, b) {
+  const rankA = typeRank(a)
+  const rankB = typeRank(b)
+  if (rankA !== rankB) {
+    return rankA - rankB
+  }
+  if (a === b || rankA < 2 || rankA > 4) {
+    return 0
+  }
+  return a < b ? -1 : 1
+}
+
+const bool = function (value) {
+  return utils.isBoolean(value) ? value : undefined
+}
+
+const string = function (fn) {
+  return function (...args) {
+    return args.every(utils.isString) ? fn(...args) : undefined
+  }
+}
+
+const FUNCTIONS = {
+  ARRAY_CONTAINS (array, value, partial) {
+    if (!utils.isArray(array)) {
+      return undefined
+    }
+    return array.some((item) => {
+      if (partial && utils.isObject(value) && utils.isObject(item)) {
+        return Object.keys(value).every((key) => deepEqual(item[key], value[key]))
+      }
+      return deepEqual(item, value)
+    })
+  },
+  ARRAY_LENGTH: (array) => utils.isArray(array) ? array.length : undefined,
+  CONTAINS: string((value, search) => value.indexOf(search) !== -1),
+  ENDSWITH: string((value, search) => value.substr(value.length - search.length) === search),
+  IS_ARRAY: (value) => utils.isArray(value),
+  IS_BOOL: (value) => utils.isBoolean(value),
+  IS_DEFINED: (value) => value !== undefined,
+  IS_NULL: (value) => value === null,
+  IS_NUMBER: (value) => utils.isNumber(value),
+  IS_OBJECT: (value) => utils.isObject(value),
+  IS_STRING: (value) => utils.isString(value),
+  LENGTH: string((value) => value.length),
+  LOWER: string((value) => value.toLowerCase()),
+  STARTSWITH: string((value, search) => value.substr(0, search.length) === search),
+  UPPER: string((value) => value.toUpperCase())
+}
+
+const evaluate = function (node, document, scope) {
+  switch (node.type) {
+    case 'literal':
+      return node.value
+    case 'param':
+      if (!scope.parameters.hasOwnProperty(node.name)) {
+        throw error(400, `Parameter ${node.name} is not defined.`)
+      }
+      return scope.parameters[node.name]
+    case 'path':
+      if (node.root !== scope.alias) {
+        throw error(400, `Identifier '${node.root}' could not be resolved.`)
+      }
+      return node.segments.reduce((value, segment) => {
+        const key = evaluate(segment, document, scope)
+        if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, key)) {
+          return undefined
+        }
+        return value[key]
+      }, document)
+    case 'compare': {
+      const left = evaluate(node.left, document, scope)
+      const right = evaluate(node.right, document, scope)
+      if (left === undefined || right === undefined || typeRank(left) !== typeRank(right)) {
+        return undefined
+      }
+      if (node.operator === '=') {
+        return deepEqual(left, right)
+      } else if (node.operator === '!=') {
+        return !deepEqual(left, right)
+      }
+      const rank = typeRank(left)
+      if (rank < 2 || rank > 4) {
+        return undefined
+      }
+      const order = compareValues(left, right)
+      return {
+        '<': order < 0,
+        '<=': order <= 0,
+        '>': order > 0,
+        '>=': order >= 0
+      }[node.operator]
+    }
+    case 'not': {
+      const value = bool(evaluate(node.operand, document, scope))
+      return value === undefined ? undefined : !value
+    }
+    case 'and': {
+      const left = bool(evaluate(node.left, document, scope))
+      const right = bool(evaluate(node.right, document, scope))
+      if (left === false || right === false) {
+        return false
+      }
+      return left && right ? true : undefined
+    }
+    case 'or': {
+      const left = bool(evaluate(node.left, document, scope))
+      const right = bool(evaluate(node.right, document, scope))
+      if (left === true || right === true) {
+        return true
+      }
+      return left === false && right === false ? false : undefined
+    }
+    case 'call': {
+      const fn = FUNCTIONS[node.name]
+      if (!fn) {
+        throw error(400, `'${node.name}' is not a recognized built-in function name.`)
+      }
+      return fn(...node.args.map((arg) => evaluate(arg, document, scope)))
+    }
+    case 'udf': {
+      const udf = scope.udfs[node.name]
+      if (!udf) {
+        throw error(400, `'udf.${node.name}' is not a recognized user defined function.`)
+      }
+      return udf(...node.args.map((arg) => evaluate(arg, document, scope)))
+    }
+  }
+}
+
+const projectionName = function (item, i) {
+  if (item.alias) {
+    return item.alias
+  }
+  const expression = item.expression
+  if (expression.type === 'path') {
+    const last = expression.segments[expression.segments.length - 1]
+    if (!last) {
+      return expression.root
+    }
+    if (last.type === 'literal' && utils.isString(last.value)) {
+      return last.value
+    }
+  }
+  return `$${i + 1}`
+}
+
+const aggregate = function (fn, values) {
+  if (fn === 'COUNT') {
+    return values.filter((value) => value !== undefined).length
+  }
+  const numbers = values.filter(utils.isNumber)
+  if (fn === 'SUM') {
+    // The sum of values of mixed types is undefined
+    if (values.some((value) => value !== undefined && !utils.isNumber(value))) {
+      return undefined
+    }
+    return numbers.reduce((sum, value) => sum + value, 0)
+  } else if (fn === 'AVG') {
+    return numbers.length ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : undefined
+  }
+  return values
+    .filter((value) => value !== undefined)
+    .reduce((acc, value) => {
+      if (acc === undefined) {
+        return value
+      }
+      const order = compareValues(value, acc)
+      return (fn === 'MIN' ? order < 0 : order > 0) ? value : acc
+    }, undefined)
+}
+
+/**
+ * Run a query against an array of documents.
+ *
+ * @ignore
+ */
+const runQuery = function (querySpec, documents, udfs) {
+  if (utils.isString(querySpec)) {
+    querySpec = { query: querySpec }
+  }
+  const query = parse(querySpec.query)
+  const scope = { alias: query.alias, parameters: {}, udfs }
+  ;(querySpec.parameters || []).forEach((parameter) => {
+    scope.parameters[parameter.name] = parameter.value
+  })
+
+  let results = documents
+  if (query.where) {
+    results = results.filter((document) => evaluate(query.where, document, scope) === true)
+  }
+  if (query.orderBy) {
+    results = results
+      .map((document) => ({ document, keys: query.orderBy.map((item) => evaluate(item.expression, document, scope)) }))
+      .sort((a, b) => {
+        for (let i = 0; i < query.orderBy.length; i++) {
+          const order = compareValues(a.keys[i], b.keys[i])
+          if (order) {
+            return query.orderBy[i].descending ? -order : order
+          }
+        }
+        return 0
+      })
+      .map((item) => item.document)
+  }
+
+  const select = query.select
+  if (select.type === 'value' && select.expression.type === 'call' && AGGREGATES.indexOf(select.expression.name) !== -1) {
+    const arg = select.expression.args[0]
+    const values = results.map((document) => arg ? evaluate(arg, document, scope) : 1)
+    const value = aggregate(select.expression.name, values)
+    return value === undefined ? [] : [value]
+  }
+
+  if (query.top) {
+    results = results.slice(0, evaluate(query.top, undefined, scope))
+  }
+
+  if (select.type === 'value') {
+    return results
+      .map((document) => evaluate(select.expression, document, scope))
+      .filter((value) => value !== undefined)
+  } else if (select.type === 'object') {
+    return results.map((document) => {
+      const projection = {}
+      select.items.forEach((item, i) => {
+        const value = evaluate(item.expression, document, scope)
+        if (value !== undefined) {
+          projection[projectionName(item, i)] = value
+        }
+      })
+      return projection
+    })
+  }
+  return results
+}
+
+/**
+ * Wrap a lazily computed array of resources in an object that behaves like a
+ * DocumentDB QueryIterator. `getHeaders` may add response headers for a page.
+ *
+ * @ignore
+ */
+const createIterator = function (fetch, options, getHeaders) {
+  options || (options = {})
+  const pageSize = options.maxItemCount > 0 ? options.maxItemCount : 100
+  const start = +options.continuation || 0
+  let position = start
+  let results
+
+  const load = () => {
+    if (!results) {
+      results = fetch().map((resource) => utils.plainCopy(resource))
+    }
+    return results
+  }
+  const read = (callback, fn) => {
+    let value
+    try {
+      value = fn(load())
+    } catch (err) {
+      return respond(callback, err)
+    }
+    return respond(callback, null, value[0], value[1])
+  }
+
+  return {
+    toArray (callback) {
+      read(callback, (results) => [results.slice(start)])
+    },
+    executeNext (callback) {
+      read(callback, (results) => {
+        const page = results.slice(position, position + pageSize)
+        position += page.length
+        const headers = {}
+        if (position < results.length) {
+          headers['x-ms-continuation'] = `${position}`
+        }
+        if (getHeaders) {
+          utils.fillIn(headers, getHeaders(page))
+        }
+        return [page, headers]
+      })
+    },
+    nextItem (callback) {
+      read(callback, (results) => [results[position++]])
+    },
+    hasMoreResults () {
+      return !results || position < results.length
+    },
+    reset () {
+      position = start
+    }
+  }
+}
+
+const SCRIPTS = {
+  StoredProcedure: 'sprocs',
+  Trigger: 'triggers',
+  UserDefinedFunction: 'udfs'
+}
+
+/**
+ * In-memory stand-in for the DocumentClient of the `documentdb` package, for
+ * use in tests. It stores databases, collections, documents and scripts in
+ * memory and evaluates the subset of DocumentDB SQL generated by
+ * {@link DocumentDBAdapter}: `TOP`, `WHERE` with parameters, comparisons,
+ * `NOT`, `AND`, `OR`, the string and array functions, user defined functions,
+ * `ORDER BY`, projections and aggregates. Writes honor ids, `IfMatch` access
+ * conditions and partition keys, and fail with the same status codes as
+ * DocumentDB.
+ *
+ * Stored procedures are run in a transaction that is rolled back if they
+ * throw, and so are writes together with their pre-triggers and
+ * post-triggers. Documents expire according to the `defaultTtl` of their
+ * collection and their own `ttl` property. Attachments are stored with their
+ * document, either as a reference to external media or with the uploaded
+ * media. Reading documents with the `a_im: 'Incremental feed'` option returns
+ * the change feed of the collection, starting after the `etag` passed as an
+ * `IfNoneMatch` access condition.
+ *
+ * @example
+ * import { DocumentDBAdapter } from 'js-data-documentdb'
+ * import { LocalDocumentClient } from 'js-data-documentdb/local'
+ *
+ * const adapter = new DocumentDBAdapter({
+ *   client: new LocalDocumentClient(),
+ *   documentOpts: { db: 'test' }
+ * })
+ *
+ * @class LocalDocumentClient
+ * @param {object} [opts] Configuration options.
+ * @param {number} [opts.scriptBudget=Infinity] Number of requests a stored
+ * procedure may make before further requests are no longer accepted, to
+ * simulate running out of time.
+ */
+export function LocalDocumentClient (opts) {
+  opts || (opts = {})
+
+  /**
+   * Number of requests a stored procedure may make before further requests
+   * are no longer accepted.
+   *
+   * @name LocalDocumentClient#scriptBudget
+   * @type {number}
+   * @default Infinity
+   */
+  this.scriptBudget = utils.isNumber(opts.scriptBudget) ? opts.scriptBudget : Infinity
+  this.reset()
+}
+
+utils.addHiddenPropsToTarget(LocalDocumentClient.prototype, {
+  /**
+   * Remove all databases.
+   *
+   * @name LocalDocumentClient#reset
+   * @method
+   */
+  reset () {
+    this.databases = {}
+  },
+
+  _getDatabase (link) {
+    const database = this.databases[parseLink(link).dbId]
+    if (!database) {
+      throw error(404, `Database ${link} does not exist.`)
+    }
+    return database
+  },
+
+  _getCollection (link) {
+    const collection = this._getDatabase(link).collections[parseLink(link).collectionId]
+    if (!collection) {
+      throw error(404, `Collection ${link} does not exist.`)
+    }
+    this._expire(collection)
+    return collection
+  },
+
+  _expire (collection) {
+    const defaultTtl = collection.resource.defaultTtl
+    if (utils.isUndefined(defaultTtl) || defaultTtl === null) {
+      return
+    }
+    const now = Date.now() / 1000
+    collection.documents.forEach((document, id) => {
+      const ttl = utils.isNumber(document.ttl) ? document.ttl : defaultTtl
+      if (ttl !== -1 && document._ts + ttl <= now) {
+        collection.documents.delete(id)
+      }
+    })
+  },
+
+  _getPartitionKey (collection, document) {
+    const partitionKey = collection.resource.partitionKey
+    if (!partitionKey) {
+      return undefined
+    }
+    return partitionKey.paths[0].split('/').filter((part) => part).reduce((value, key) => {
+      return value === null || typeof value !== 'object' ? undefined : value[key]
+    }, document)
+  },
+
+  _inPartition (collection, document, options) {
+    return !collection.resource.partitionKey || options.partitionKey === undefined ||
+      deepEqual(this._getPartitionKey(collection, document), options.partitionKey)
+  },
+
+  _getDocument (link, options) {
+    const collection = this._getCollection(link)
+    const id = parseLink(link).id
+    const document = collection.documents.get(id)
+    if (!document || !this._inPartition(collection, document, options || {})) {
+      throw error(404, `Document ${id} does not exist.`)
+    }
+    return document
+  },
+
+  _checkAccessCondition (document, options) {
+    const condition = options.accessCondition
+    if (condition && condition.type === 'IfMatch' && condition.condition !== document._etag) {
+      throw error(412, `Document ${document.id} has been modified.`)
+    }
+  },
+
+  _write (collection, document) {
+    // Position of the write in the change feed
+    collection.lsn = (collection.lsn || 0) + 1
+    document._lsn = collection.lsn
+    document._etag = `"${guid()}"`
+    document._ts = Math.floor(Date.now() / 1000)
+    collection.documents.set(document.id, document)
+    return document
+  },
+
+  _createDocument (collection, body, options) {
+    const document = utils.plainCopy(body)
+    if (document.id === undefined) {
+      if (options.disableAutomaticIdGeneration) {
+        throw error(400, 'The input content is invalid because the required property, id, is missing.')
+      }
+      document.id = guid()
+    }
+    if (!utils.isString(document.id)) {
+      throw error(400, 'The input content is invalid because the id is not a string.')
+    }
+    if (collection.documents.has(document.id)) {
+      throw error(409, `Document ${document.id} already exists.`)
+    }
+    return this._write(collection, document)
+  },
+
+  _replaceDocument (link, body, options) {
+    const existing = this._getDocument(link, options)
+    this._checkAccessCondition(existing, options)
+    const document = utils.plainCopy(body)
+    document.id = existing.id
+    return this._write(this._getCollection(link), document)
+  },
+
+  _upsertDocument (collection, body, options) {
+    const existing = body.id === undefined ? undefined : collection.documents.get(body.id)
+    if (!existing) {
+      return this._createDocument(collection, body, options)
+    }
+    this._checkAccessCondition(existing, options)
+    return this._write(collection, utils.plainCopy(body))
+  },
+
+  _deleteDocument (link, options) {
+    const document = this._getDocument(link, options)
+    this._checkAccessCondition(document, options)
+    const collection = this._getCollection(link)
+    collection.documents.delete(document.id)
+    // Attachments and their media are deleted along with their document
+    collection.attachments.delete(document.id)
+  },
+
+  _getAttachments (link, options) {
+    const collection = this._getCollection(link)
+    const id = this._getDocument(link, options).id
+    collection.attachments.has(id) || collection.attachments.set(id, {})
+    return collection.attachments.get(id)
+  },
+
+  _getAttachment (link, options) {
+    const attachmentId = parseLink(link).attachmentId
+    const attachment = this._getAttachments(link, options)[attachmentId]
+    if (!attachment) {
+      throw error(404, `Attachment ${attachmentId} does not exist.`)
+    }
+    return attachment
+  },
+
+  _writeAttachment (link, body, content) {
+    const links = parseLink(link)
+    const resource = utils.plainCopy(body)
+    if (resource.id === undefined) {
+      resource.id = guid()
+    }
+    if (!utils.isString(resource.id) || !utils.isString(resource.contentType)) {
+      throw error(400, 'The input content is invalid because the required properties, id and contentType, are missing.')
+    }
+    if (content) {
+      resource.media = `media/${links.dbId}/${links.collectionId}/${links.id}/${resource.id}`
+    } else if (!utils.isString(resource.media)) {
+      throw error(400, 'The input content is invalid because the required property, media, is missing.')
+    }
+    resource._etag = `"${guid()}"`
+    resource._ts = Math.floor(Date.now() / 1000)
+    return { resource, content }
+  },
+
+  _queryDocuments (link, querySpec, options) {
+    const collection = this._getCollection(link)
+    const udfs = {}
+    utils.forOwn(collection.udfs, (udf, id) => {
+      udfs[id] = vm.runInThisContext(`(${udf.body})`)
+    })
+    const documents = []
+    collection.documents.forEach((document) => {
+      if (this._inPartition(collection, document, options)) {
+        documents.push(document)
+      }
+    })
+    return runQuery(querySpec, documents, udfs)
+  },
+
+  _readChanges (link, options) {
+    const condition = options.accessCondition
+    const since = condition && condition.type === 'IfNoneMatch' ? +JSON.parse(condition.condition) : 0
+    return createIterator(() => {
+      const collection = this._getCollection(link)
+      const documents = []
+      collection.documents.forEach((document) => {
+        if (document._lsn > since && this._inPartition(collection, document, options)) {
+          documents.push(document)
+        }
+      })
+      return documents.sort((a, b) => a._lsn - b._lsn)
+    }, options, (page) => {
+      return { etag: `"${page.length ? page[page.length - 1]._lsn : since}"` }
+    })
+  },
+
+  _run (callback, fn) {
+    let result
+    try {
+      result = fn()
+    } catch (err) {
+      return respond(callback, err)
+    }
+    return respond(callback, null, result && utils.plainCopy(result))
+  },
+
+  readDatabases (options) {
+    return createIterator(() => Object.keys(this.databases).map((id) => this.databases[id].resource), options)
+  },
+
+  readDatabase (link, options, callback) {
+    [link, options, callback] = withOptions(arguments, 3)
+    this._run(callback, () => this._getDatabase(link).resource)
+  },
+
+  createDatabase (body, options, callback) {
+    [body, options, callback] = withOptions(arguments, 3)
+    this._run(callback, () => {
+      if (this.databases[body.id]) {
+        throw error(409, `Database ${body.id} already exists.`)
+      }
+      this.databases[body.id] = { resource: utils.plainCopy(body), collections: {} }
+      return this.databases[body.id].resource
+    })
+  },
+
+  deleteDatabase (link, options, callback) {
+    [link, options, callback] = withOptions(arguments, 3)
+    this._run(callback, () => {
+      delete this.databases[this._getDatabase(link).resource.id]
+    })
+  },
+
+  readCollections (link, options) {
+    return createIterator(() => {
+      const collections = this._getDatabase(link).collections
+      return Object.keys(collections).map((id) => collections[id].resource)
+    }, options)
+  },
+
+  readCollection (link, options, callback) {
+    [link, options, callback] = withOptions(arguments, 3)
+    this._run(callback, () => this._getCollection(link).resource)
+  },
+
+  createCollection (link, body, options, callback) {
+    [link, body, options, callback] = withOptions(arguments, 4)
+    this._run(callback, () => {
+      const database = this._getDatabase(link)
+      if (database.collections[body.id]) {
+        throw error(409, `Collection ${body.id} already exists.`)
+      }
+      const collection = database.collections[body.id] = {
+        resource: utils.plainCopy(body),
+        documents: new Map(),
+        attachments: new Map()
+      }
+      utils.forOwn(SCRIPTS, (type) => {
+        collection[type] = {}
+      })
+      return collection.resource
+    })
+  },
+
+  replaceCollection (link, body, options, callback) {
+    [link, body, options, callback] = withOptions(arguments, 4)
+    this._run(callback, () => {
+      const collection = this._getCollection(link)
+      collection.resource = utils.plainCopy(body)
+      collection.resource.id = parseLink(link).collectionId
+      return collection.resource
+    })
+  },
+
+  deleteCollection (link, options, callback) {
+    [link, options, callback] = withOptions(arguments, 3)
+    this._run(callback, () => {
+      const collection = this._getCollection(link)
+      delete this._getDatabase(link).collections[collection.resource.id]
+    })
+  },
+
+  createDocument (link, body, options, callback) {
+    [link, body, options, callback] = withOptions(arguments, 4)
+    this._run(callback, () => {
+      const collection = this._getCollection(link)
+      return this._withTriggers(link, collection, 'create', body, options, (body) => this._createDocument(collection, body, options))
+    })
+  },
+
+  readDocument (link, options, callback) {
+    [link, options, callback] = withOptions(arguments, 3)
+    this._run(callback, () => this._getDocument(link, options))
+  },
+
+  replaceDocument (link, body, options, callback) {
+    [link, body, options, callback] = withOptions(arguments, 4)
+    this._run(callback, () => {
+      return this._withTriggers(link, this._getCollection(link), 'replace', body, options, (body) => this._replaceDocument(link, body, options))
+    })
+  },
+
+  upsertDocument (link, body, options, callback) {
+    [link, body, options, callback] = withOptions(arguments, 4)
+    this._run(callback, () => {
+      const collection = this._getCollection(link)
+      const operation = body.id !== undefined && collection.documents.has(body.id) ? 'replace' : 'create'
+      return this._withTriggers(link, collection, operation, body, options, (body) => this._upsertDocument(collection, body, options))
+    })
+  },
+
+  deleteDocument (link, options, callback) {
+    [link, options, callback] = withOptions(arguments, 3)
+    this._run(callback, () => {
+      this._withTriggers(link, this._getCollection(link), 'delete', undefined, options, () => this._deleteDocument(link, options))
+    })
+  },
+
+  createAttachment (link, body, options, callback) {
+    [link, body, options, callback] = withOptions(arguments, 4)
+    this._run(callback, () => {
+      const attachments = this._getAttachments(link, options)
+      if (attachments[body.id]) {
+        throw error(409, `Attachment ${body.id} already exists.`)
+      }
+      const attachment = this._writeAttachment(link, body)
+      attachments[attachment.resource.id] = attachment
+      return attachment.resource
+    })
+  },
+
+  createAttachmentAndUploadMedia (link, readableStream, options, callback) {
+    [link, readableStream, options, callback] = withOptions(arguments, 4)
+    readStream(readableStream, (err, content) => {
+      if (err) {
+        return respond(callback, err)
+      }
+      this._run(callback, () => {
+        const attachments = this._getAttachments(link, options)
+        const body = { id: options.slug, contentType: options.contentType || 'application/octet-stream' }
+        if (attachments[body.id]) {
+          throw error(409, `Attachment ${body.id} already exists.`)
+        }
+        const attachment = this._writeAttachment(link, body, content)
+        attachments[attachment.resource.id] = attachment
+        return attachment.resource
+      })
+    })
+  },
+
+  readAttachment (link, options, callback) {
+    [link, options, callback] = withOptions(arguments, 3)
+    this._run(callback, () => this._getAttachment(link, options).resource)
+  },
+
+  readAttachments (link, options) {
+    options || (options = {})
+    return createIterator(() => {
+      const attachments = this._getAttachments(link, options)
+      return Object.keys(attachments).map((id) => attachments[id].resource)
+    }, options)
+  },
+
+  replaceAttachment (link, body, options, callback) {
+    [link, body, options, callback] = withOptions(arguments, 4)
+    this._run(callback, () => {
+      const existing = this._getAttachment(link, options)
+      this._checkAccessCondition(existing.resource, options)
+      body = utils.plainCopy(body)
+      body.id = existing.resource.id
+      const attachment = existing.content && body.media === existing.resource.media
+        ? this._writeAttachment(link, body, existing.content)
+        : this._writeAttachment(link, body)
+      this._getAttachments(link, options)[body.id] = attachment
+      return attachment.resource
+    })
+  },
+
+  deleteAttachment (link, options, callback) {
+    [link, options, callback] = withOptions(arguments, 3)
+    this._run(callback, () => {
+      const attachment = this._getAttachment(link, options)
+      this._checkAccessCondition(attachment.resource, options)
+      delete this._getAttachments(link, options)[attachment.resource.id]
+    })
+  },
+
+  readMedia (link, callback) {
+    this._run(callback, () => {
+      const parts = `${link}`.split('/').filter((part) => part)
+      return this._getAttachment(`dbs/${parts[1]}/colls/${parts[2]}/docs/${parts[3]}/attachments/${parts[4]}`).content.toString()
+    })
+  },
+
+  updateMedia (link, readableStream, options, callback) {
+    [link, readableStream, options, callback] = withOptions(arguments, 4)
+    readStream(readableStream, (err, content) => {
+      if (err) {
+        return respond(callback, err)
+      }
+      this._run(callback, () => {
+        const parts = `${link}`.split('/').filter((part) => part)
+        const attachmentLink = `dbs/${parts[1]}/colls/${parts[2]}/docs/${parts[3]}/attachments/${parts[4]}`
+        const existing = this._getAttachment(attachmentLink)
+        const body = utils.plainCopy(existing.resource)
+        if (options.contentType) {
+          body.contentType = options.contentType
+        }
+        const attachment = this._writeAttachment(attachmentLink, body, content)
+        this._getAttachments(attachmentLink)[body.id] = attachment
+        return { id: body.id }
+      })
+    })
+  },
+
+  readDocuments (link, options) {
+    options || (options = {})
+    if (options.a_im === 'Incremental feed') {
+      return this._readChanges(link, options)
+    }
+    return createIterator(() => {
+      const collection = this._getCollection(link)
+      const documents = []
+      collection.documents.forEach((document) => {
+        if (this._inPartition(collection, document, options)) {
+          documents.push(document)
+        }
+      })
+      return documents
+    }, options)
+  },
+
+  queryDocuments (link, querySpec, options) {
+    options || (options = {})
+    return createIterator(() => this._queryDocuments(link, querySpec, options), options)
+  },
+
+  executeStoredProcedure (link, params, options, callback) {
+    [link, params, options, callback] = withOptions(arguments, 4)
+    if (utils.isFunction(params)) {
+      callback = params
+      params = []
+    }
+    if (!utils.isArray(params)) {
+      params = [params]
+    }
+    this._run(callback, () => {
+      const collection = this._getCollection(link)
+      const sproc = collection.sprocs[parseLink(link).id]
+      if (!sproc) {
+        throw error(404, `Stored procedure ${link} does not exist.`)
+      }
+      return this._runScript(link, collection, sproc.body, params, options)
+    })
+  },
+
+  /**
+   * Make a write, running the pre-triggers and post-triggers listed in
+   * `options`. Pre-triggers may change the body of the request. If a
+   * post-trigger throws, the write is rolled back.
+   *
+   * @ignore
+   */
+  _withTriggers (link, collection, operation, body, options, write) {
+    const run = (ids, type, request) => {
+      [].concat(ids || []).forEach((id) => {
+        const trigger = collection.triggers[id]
+        if (!trigger) {
+          throw error(404, `Trigger ${id} does not exist.`)
+        }
+        const triggerOperation = `${trigger.triggerOperation}`.toLowerCase()
+        if (`${trigger.triggerType}`.toLowerCase() !== type || (triggerOperation !== 'all' && triggerOperation !== operation)) {
+          throw error(400, `Trigger ${id} can't run as a ${type}-trigger of ${operation} operations.`)
+        }
+        this._runScript(link, collection, trigger.body, [], options, request)
+      })
+    }
+
+    const request = { operation, body: body && utils.plainCopy(body) }
+    run(options.preTriggerInclude, 'pre', request)
+    const snapshot = new Map(collection.documents)
+    const attachments = new Map(collection.attachments)
+    const result = write(request.body)
+    try {
+      run(options.postTriggerInclude, 'post', { operation, body: request.body, response: result })
+    } catch (err) {
+      collection.documents = snapshot
+      collection.attachments = attachments
+      throw err
+    }
+    return result
+  },
+
+  /**
+   * Run a server-side script with a minimal version of DocumentDB's
+   * server-side API. Callbacks are queued and called after the current one
+   * returns. If the script throws, every write it made is rolled back.
+   * Triggers receive the request they run for.
+   *
+   * @ignore
+   */
+  _runScript (link, collection, body, params, options, triggerRequest) {
+    const links = parseLink(link)
+    const collLink = `dbs/${links.dbId}/colls/${links.collectionId}`
+    const snapshot = new Map(collection.documents)
+    const attachments = new Map(collection.attachments)
+    const queue = []
+    let budget = this.scriptBudget
+    let responseBody = triggerRequest ? triggerRequest.response : undefined
+
+    const request = (callback, fn) => {
+      if (budget-- <= 0) {
+        return false
+      }
+      queue.push(() => {
+        let result
+        try {
+          result = fn()
+        } catch (err) {
+          const serverError = { number: err.code, body: err.body, message: err.body }
+          if (!callback) {
+            throw serverError
+          }
+          return callback(serverError)
+        }
+        if (callback) {
+          callback(undefined, result && utils.plainCopy(result), {})
+        }
+      })
+      return true
+    }
+    const server = {
+      getSelfLink: () => collLink,
+      getAltLink: () => collLink,
+      createDocument: (_link, document, _options, callback) => {
+        if (utils.isFunction(_options)) {
+          callback = _options
+          _options = {}
+        }
+        return request(callback, () => this._createDocument(collection, document, _options || {}))
+      },
+      readDocument: (docLink, _options, callback) => {
+        if (utils.isFunction(_options)) {
+          callback = _options
+        }
+        return request(callback, () => this._getDocument(docLink, options))
+      },
+      replaceDocument: (docLink, document, _options, callback) => {
+        if (utils.isFunction(_options)) {
+          callback = _options
+          _options = {}
+        }
+        return request(callback, () => {
+          if (_options && _options.etag) {
+            this._checkAccessCondition(this._getDocument(docLink, options), { accessCondition: { type: 'IfMatch', condition: _options.etag } })
+          }
+          return this._replaceDocument(docLink, document, options)
+        })
+      },
+      deleteDocument: (docLink, _options, callback) => {
+        if (utils.isFunction(_options)) {
+          callback = _options
+          _options = {}
+        }
+        return request(callback, () => {
+          if (_options && _options.etag) {
+            this._checkAccessCondition(this._getDocument(docLink, options), { accessCondition: { type: 'IfMatch', condition: _options.etag } })
+          }
+          this._deleteDocument(docLink, options)
+        })
+      },
+      queryDocuments: (_link, querySpec, _options, callback) => {
+        if (utils.isFunction(_options)) {
+          callback = _options
+        }
+        return request(callback, () => this._queryDocuments(collLink, querySpec, options))
+      }
+    }
+    const context = {
+      getCollection: () => server,
+      getRequest: () => ({
+        getBody: () => triggerRequest.body,
+        setBody: (value) => {
+          triggerRequest.body = value
+        },
+        getOperationType: () => `${triggerRequest.operation.charAt(0).toUpperCase()}${triggerRequest.operation.substr(1)}`
+      }),
+      getResponse: () => ({
+        getBody: () => responseBody,
+        setBody: (value) => {
+          responseBody = value
+        }
+      })
+    }
+
+    try {
+      const script = vm.runInThisContext(`(function (getContext) { return (${body}) })`)(() => context)
+      script(...params)
+      while (queue.length) {
+        queue.shift()()
+      }
+    } catch (err) {
+      collection.documents = snapshot
+      collection.attachments = attachments
+      throw error(400, `Encountered exception while executing function. Exception = ${err instanceof Error ? err : JSON.stringify(err)}`)
+    }
+    return responseBody
+  }
+})
+
+utils.forOwn(SCRIPTS, (type, name) => {
+  const create = function (link, body, options, callback) {
+    [link, body, options, callback] = withOptions(arguments, 4)
+    this._run(callback, () => {
+      const scripts = this._getCollection(link)[type]
+      if (scripts[body.id]) {
+        throw error(409, `${name} ${body.id} already exists.`)
+      }
+      scripts[body.id] = utils.plainCopy(body)
+      scripts[body.id].body = `${body.body}`
+      return scripts[body.id]
+    })
+  }
+  const replace = function (link, body, options, callback) {
+    [link, body, options, callback] = withOptions(arguments, 4)
+    this._run(callback, () => {
+      const scripts = this._getCollection(link)[type]
+      const id = parseLink(link).id
+      if (!scripts[id]) {
+        throw error(404, `${name} ${id} does not exist.`)
+      }
+      scripts[id] = utils.plainCopy(body)
+      scripts[id].body = `${body.body}`
+      return scripts[id]
+    })
+  }
+  const remove = function (link, options, callback) {
+    [link, options, callback] = withOptions(arguments, 3)
+    this._run(callback, () => {
+      const scripts = this._getCollection(link)[type]
+      const id = parseLink(link).id
+      if (!scripts[id]) {
+        throw error(404, `${name} ${id} does not exist.`)
+      }
+      delete scripts[id]
+    })
+  }
+  const read = function (link, options) {
+    return createIterator(() => {
+      const scripts = this._getCollection(link)[type]
+      return Object.keys(scripts).map((id) => scripts[id])
+    }, options)
+  }
+  utils.addHiddenPropsToTarget(LocalDocumentClient.prototype, {
+    [`create${name}`]: create,
+    [`replace${name}`]: replace,
+    [`delete${name}`]: remove,
+    [`read${name}s`]: read
+  })
+})
@@ -1,14 +1,371 @@
 import { utils } from 'js-data'
 import {
   Adapter,
-  reserved
+  noop,
+  noop2,
+  reserved,
+  Response,
+  withoutRelations
 } from 'js-data-adapter'
 import { DocumentClient } from 'documentdb'
+import { Readable } from 'stream'
 import underscore from 'mout/string/underscore'
 
 const REQUEST_OPTS_DEFAULTS = {}
 const FEED_OPTS_DEFAULTS = {}
 
+const DEFAULTS = {
+  /**
+   * Whether {@link DocumentDBAdapter#count} and {@link DocumentDBAdapter#sum}
+   * should compute their result on the server with an aggregate query, e.g.
+   * `SELECT VALUE COUNT(1)`, instead of downloading the matching records and
+   * reducing them in memory. Set to `false` if your account does not support
+   * aggregate queries. Queries with `limit` or `skip` are always reduced in
+   * memory.
+   *
+   * @name DocumentDBAdapter#serverAggregates
+   * @type {boolean}
+   * @default true
+   */
+  serverAggregates: true,
+
+  /**
+   * Whether writes should use optimistic concurrency control. When enabled,
+   * {@link DocumentDBAdapter#update}, {@link DocumentDBAdapter#updateAll},
+   * {@link DocumentDBAdapter#updateMany}, {@link DocumentDBAdapter#destroy}
+   * and {@link DocumentDBAdapter#destroyAll} only write a document if its
+   * `_etag` still matches, and reject with a {@link ConflictError} otherwise.
+   *
+   * @name DocumentDBAdapter#optimistic
+   * @type {boolean}
+   * @default false
+   */
+  optimistic: false,
+
+  /**
+   * How many times an optimistic write retries its read-merge-write cycle
+   * after a conflict before rejecting with a {@link ConflictError}. Writes
+   * made against an etag supplied by the caller are never retried.
+   *
+   * @name DocumentDBAdapter#optimisticRetries
+   * @type {number}
+   * @default 3
+   */
+  optimisticRetries: 3,
+
+  /**
+   * Maximum number of keys per `in` predicate when filtering on related
+   * records, e.g. `{ 'profile.email': 'john@example.com' }`. Larger key sets
+   * are split into several predicates joined with `OR`. See
+   * {@link DocumentDBAdapter#resolveRelationFilters}.
+   *
+   * @name DocumentDBAdapter#relationChunkSize
+   * @type {number}
+   * @default 1000
+   */
+  relationChunkSize: 1000,
+
+  /**
+   * Whether {@link DocumentDBAdapter#createMany},
+   * {@link DocumentDBAdapter#updateMany}, {@link DocumentDBAdapter#updateAll}
+   * and {@link DocumentDBAdapter#destroyAll} should write all documents of a
+   * partition in a single transaction, by running a bulk stored procedure
+   * that the adapter registers in a collection on its first atomic write. If
+   * any write fails, none of the writes to that partition are applied.
+   *
+   * A stored procedure only runs for a limited time. When a batch doesn't
+   * finish in time, the documents written so far are committed and the
+   * remaining documents are written in another transaction.
+   *
+   * @name DocumentDBAdapter#atomic
+   * @type {boolean}
+   * @default false
+   */
+  atomic: false,
+
+  /**
+   * Retry policy applied to every request the adapter makes. Requests that
+   * were throttled (429) are retried after the delay the server asks for in
+   * the `x-ms-retry-after-ms` header. Other transient errors are retried with
+   * exponential backoff and jitter. Set to `false` to disable retries.
+   *
+   * @example
+   * const adapter = new DocumentDBAdapter({
+   *   retry: {
+   *     maxAttempts: 10,
+   *     onRetry: (err, attempt, delay) => console.warn(`Retrying after ${delay}ms`, err)
+   *   }
+   * })
+   *
+   * @name DocumentDBAdapter#retry
+   * @type {object|boolean}
+   * @property {number} [maxAttempts=5] Maximum number of attempts, including
+   * the first one.
+   * @property {number} [baseDelay=100] Delay in milliseconds before the first
+   * retry of a transient error. It doubles with every attempt.
+   * @property {number} [maxDelay=10000] Maximum delay in milliseconds between
+   * attempts.
+   * @property {number[]} [statusCodes=[408, 429, 449, 503]] Status codes of the
+   * errors to retry.
+   * @property {function} [onRetry] Called with the error, the number of the
+   * attempt that failed and the delay before the next attempt.
+   */
+  retry: {},
+
+  /**
+   * Maximum number of documents that {@link DocumentDBAdapter#createMany},
+   * {@link DocumentDBAdapter#updateMany}, {@link DocumentDBAdapter#updateAll}
+   * and {@link DocumentDBAdapter#destroyAll} write at the same time.
+   *
+   * @name DocumentDBAdapter#concurrency
+   * @type {number}
+   * @default 10
+   */
+  concurrency: 10,
+
+  /**
+   * If set, {@link DocumentDBAdapter#createMany},
+   * {@link DocumentDBAdapter#updateMany}, {@link DocumentDBAdapter#updateAll}
+   * and {@link DocumentDBAdapter#destroyAll} write documents in consecutive
+   * batches of this size, only starting a batch once the previous one has
+   * finished. Not used by {@link DocumentDBAdapter#atomic|atomic} writes.
+   *
+   * @name DocumentDBAdapter#batchSize
+   * @type {number}
+   * @default undefined
+   */
+  batchSize: undefined,
+
+  /**
+   * Id of the collection in which the adapter keeps its own bookkeeping
+   * documents, e.g. the checkpoints of {@link DocumentDBAdapter#watch}. It is
+   * created in each database on first use.
+   *
+   * @name DocumentDBAdapter#metaCollection
+   * @type {string}
+   * @default "js_data_meta"
+   */
+  metaCollection: 'js_data_meta',
+
+  /**
+   * User defined functions to register in every collection, in addition to
+   * those declared by each mapper. See
+   * {@link DocumentDBAdapter#getUserDefinedFunctions}.
+   *
+   * @name DocumentDBAdapter#udfs
+   * @type {Object[]}
+   * @default []
+   */
+  udfs: [],
+
+  /**
+   * Name of the property that holds the schema version of each document of a
+   * mapper with migrations. See {@link DocumentDBAdapter#getMigrations}.
+   *
+   * @name DocumentDBAdapter#schemaVersionField
+   * @type {string}
+   * @default "_schemaVersion"
+   */
+  schemaVersionField: '_schemaVersion',
+
+  /**
+   * Whether {@link DocumentDBAdapter#find}, {@link DocumentDBAdapter#findAll}
+   * and {@link DocumentDBAdapter#findPage} should apply pending migrations to
+   * the outdated documents they read, and save them. See
+   * {@link DocumentDBAdapter#getMigrations}.
+   *
+   * @name DocumentDBAdapter#upgradeOnRead
+   * @type {boolean}
+   * @default false
+   */
+  upgradeOnRead: false,
+
+  /**
+   * Maximum number of collections whose setup, see
+   * {@link DocumentDBAdapter#waitForCollection}, is cached. When routing
+   * requests to many tenants with {@link DocumentDBAdapter#resolveDb} or
+   * {@link DocumentDBAdapter#resolveCollection}, the least recently used
+   * collections are forgotten, and set up again on their next use. A database
+   * is forgotten with its last collection. Set to `0` to cache every
+   * collection.
+   *
+   * @name DocumentDBAdapter#maxCachedCollections
+   * @type {number}
+   * @default 100
+   */
+  maxCachedCollections: 100,
+
+  /**
+   * Whether {@link DocumentDBAdapter#destroy} and
+   * {@link DocumentDBAdapter#destroyAll} should only mark documents as
+   * deleted, by setting {@link DocumentDBAdapter#deletedAtField} to the time
+   * of deletion, instead of deleting them. Soft-deleted documents are left
+   * out of reads unless `opts.withDeleted` is set. Can be overridden with
+   * `softDelete` on a Mapper. See {@link DocumentDBAdapter#restore} and
+   * {@link DocumentDBAdapter#purge}.
+   *
+   * @name DocumentDBAdapter#softDelete
+   * @type {boolean}
+   * @default false
+   */
+  softDelete: false,
+
+  /**
+   * Name of the property that holds the time, as an ISO 8601 string, at
+   * which a document was soft-deleted. See
+   * {@link DocumentDBAdapter#softDelete}.
+   *
+   * @name DocumentDBAdapter#deletedAtField
+   * @type {string}
+   * @default "deletedAt"
+   */
+  deletedAtField: 'deletedAt'
+}
+
+const RETRY_DEFAULTS = {
+  maxAttempts: 5,
+  baseDelay: 100,
+  maxDelay: 10000,
+  statusCodes: [408, 429, 449, 503]
+}
+
+const AGGREGATES = ['AVG', 'COUNT', 'MAX', 'MIN', 'SUM']
+
+// Operations whose documents are upgraded by DocumentDBAdapter#upgradeOnRead
+const UPGRADE_OPS = ['find', 'findAll', 'findPage']
+
+const RANGE_INDEXES = [
+  { kind: 'Range', dataType: 'Number', precision: -1 },
+  { kind: 'Range', dataType: 'String', precision: -1 }
+]
+
+const HASH_INDEXES = [
+  { kind: 'Hash', dataType: 'Number', precision: -1 },
+  { kind: 'Hash', dataType: 'String', precision: 3 }
+]
+
+/**
+ * Turn a field name, e.g. `"address.city"`, into an index path, e.g.
+ * `"/address/city/?"`. Paths that already start with a slash are kept as is.
+ *
+ * @ignore
+ */
+const toIndexPath = function (path) {
+  return path.charAt(0) === '/' ? path : `/${path.split('.').join('/')}/?`
+}
+
+/**
+ * Serialize an indexing policy so that two equivalent policies compare equal,
+ * regardless of ordering and of the properties the server fills in.
+ *
+ * @ignore
+ */
+const serializeIndexingPolicy = function (policy) {
+  policy || (policy = {})
+  const byPath = (a, b) => a.path < b.path ? -1 : a.path > b.path ? 1 : 0
+  return JSON.stringify({
+    automatic: policy.automatic !== false,
+    indexingMode: (policy.indexingMode || 'consistent').toLowerCase(),
+    includedPaths: (policy.includedPaths || []).map((included) => {
+      return {
+        path: included.path,
+        indexes: (included.indexes || []).map((index) => {
+          const precision = index.precision === undefined ? -1 : index.precision
+          return `${index.kind}:${index.dataType}:${precision}`
+        }).sort()
+      }
+    }).sort(byPath),
+    // The server always excludes the system "_etag" property
+    excludedPaths: (policy.excludedPaths || [])
+      .filter((excluded) => excluded.path !== '/"_etag"/?')
+      .sort(byPath)
+      .map((excluded) => excluded.path)
+  })
+}
+
+/**
+ * Set the `ttl` property of a document to `opts.ttl`, if provided.
+ *
+ * @ignore
+ */
+const withTtl = function (document, opts) {
+  if (!utils.isUndefined(opts.ttl)) {
+    document.ttl = opts.ttl
+  }
+  return document
+}
+
+/**
+ * Whether `media` is a readable stream to upload, rather than a reference to
+ * external media.
+ *
+ * @ignore
+ */
+const isStream = function (media) {
+  return !!media && utils.isFunction(media.pipe) && utils.isFunction(media.on)
+}
+
+/**
+ * Operator that selects documents whose schema version is older than the
+ * given version, or missing. Used by {@link DocumentDBAdapter#migrate}.
+ *
+ * @ignore
+ */
+const outdated = function (field, value, parameters, collectionId) {
+  const path = compilePath(collectionId, field)
+  return `(NOT IS_DEFINED(${path}) OR ${path} < ${addParameter(field, value, parameters)})`
+}
+
+const isValue = function (value) {
+  return value !== undefined && value !== null
+}
+
+/**
+ * Reducers used to fold aggregates in memory, one page at a time, when they
+ * can't be computed on the server.
+ *
+ * @ignore
+ */
+const FOLDS = {
+  AVG: {
+    initial: () => ({ sum: 0, count: 0 }),
+    step: (acc, value) => {
+      if (utils.isNumber(value)) {
+        acc.sum += value
+        acc.count++
+      }
+      return acc
+    },
+    result: (acc) => acc.count ? acc.sum / acc.count : undefined
+  },
+  COUNT: {
+    initial: () => 0,
+    step: (acc) => acc + 1,
+    result: (acc) => acc
+  },
+  MAX: {
+    initial: () => undefined,
+    step: (acc, value) => isValue(value) && (acc === undefined || value > acc) ? value : acc,
+    result: (acc) => acc
+  },
+  MIN: {
+    initial: () => undefined,
+    step: (acc, value) => isValue(value) && (acc === undefined || value < acc) ? value : acc,
+    result: (acc) => acc
+  },
+  SUM: {
+    initial: () => 0,
+    // Like DocumentDB, there is no sum of values of mixed types
+    step: (acc, value) => {
+      if (value === undefined) {
+        return acc
+      }
+      return acc === undefined || !utils.isNumber(value) ? undefined : acc + value
+    },
+    result: (acc) => acc
+  }
+}
+
 const checkIfNameExists = function (name, parameters) {
   let exists = false
   parameters.forEach(function (parameter) {
@@ -21,7 +378,8 @@ const checkIfNameExists = function (name, parameters) {
 }
 
 const addParameter = function (field, value, parameters) {
-  const name = `@${field}`
+  // Parameter names may only contain word characters
+  const name = `@${field.replace(/\W+/g, '_').replace(/^_+|_+$/g, '') || 'param'}`
   let newName = name
   let count = 1
 
@@ -36,12 +394,358 @@ const addParameter = function (field, value, parameters) {
   return newName
 }
 
+const IDENTIFIER = /^[A-Za-z_]\w*$/
+
+const KEYWORDS = [
+  'AND', 'ARRAY', 'AS', 'ASC', 'BETWEEN', 'BY', 'CASE', 'CAST', 'CONVERT',
+  'CROSS', 'DESC', 'DISTINCT', 'ELSE', 'END', 'ESCAPE', 'EXISTS', 'FALSE',
+  'FOR', 'FROM', 'GROUP', 'HAVING', 'IN', 'INNER', 'INSERT', 'INTO', 'IS',
+  'JOIN', 'LEFT', 'LIKE', 'LIMIT', 'NOT', 'NULL', 'OFFSET', 'ON', 'OR',
+  'ORDER', 'OUTER', 'OVER', 'RIGHT', 'SELECT', 'SET', 'THEN', 'TOP', 'TRUE',
+  'UDF', 'UNDEFINED', 'UPDATE', 'VALUE', 'WHEN', 'WHERE', 'WITH'
+]
+
+/**
+ * Split a field path such as `addresses[0].city` or `meta["first-name"]` into
+ * its property names and array indexes.
+ *
+ * @ignore
+ */
+const parsePath = function (field) {
+  const invalid = () => new Error(`Invalid field path: ${field}`)
+  if (!utils.isString(field) || !field) {
+    throw invalid()
+  }
+  const segments = []
+  let name = ''
+  let i = 0
+  // Whether a property name is expected before the next "." or "["
+  let expectName = true
+  while (i < field.length) {
+    const char = field.charAt(i)
+    if (char === '.') {
+      if (expectName && !name) {
+        throw invalid()
+      }
+      if (name) {
+        segments.push(name)
+      }
+      name = ''
+      expectName = true
+      i++
+    } else if (char === '[') {
+      if (name) {
+        segments.push(name)
+      } else if (expectName && segments.length) {
+        throw invalid()
+      }
+      name = ''
+      const end = field.indexOf(']', i)
+      const quote = field.charAt(i + 1)
+      if (quote === '"' || quote === "'") {
+        let value = ''
+        let j = i + 2
+        while (j < field.length && field.charAt(j) !== quote) {
+          value += field.charAt(j) === '\\' ? field.charAt(++j) : field.charAt(j)
+          j++
+        }
+        if (field.charAt(j + 1) !== ']') {
+          throw invalid()
+        }
+        segments.push(value)
+        i = j + 2
+      } else if (end !== -1 && /^\d+$/.test(field.substring(i + 1, end))) {
+        segments.push(+field.substring(i + 1, end))
+        i = end + 1
+      } else {
+        throw invalid()
+      }
+      expectName = false
+    } else if (char === ']' || (!expectName && !name)) {
+      throw invalid()
+    } else {
+      name += char
+      i++
+    }
+  }
+  if (name) {
+    segments.push(name)
+  } else if (expectName) {
+    throw invalid()
+  }
+  return segments
+}
+
+/**
+ * Compile a field path into a property reference on the given collection
+ * alias. Property names that aren't plain identifiers, or that are SQL
+ * keywords, are quoted with bracket notation, e.g. `user["first-name"]`, so
+ * that field names can't break or inject into the generated SQL.
+ *
+ * @ignore
+ */
+const compilePath = function (collectionId, field) {
+  return parsePath(field).reduce((sql, segment) => {
+    if (utils.isNumber(segment)) {
+      return `${sql}[${segment}]`
+    }
+    if (IDENTIFIER.test(segment) && KEYWORDS.indexOf(segment.toUpperCase()) === -1) {
+      return `${sql}.${segment}`
+    }
+    return `${sql}[${JSON.stringify(segment)}]`
+  }, collectionId)
+}
+
+const ASYNC_ITERATOR = (typeof Symbol === 'function' && Symbol.asyncIterator) || '@@asyncIterator'
+
+/**
+ * Wrap a query iterator in a cursor whose `next` method resolves with the next
+ * page of documents fetched with `executeNext`, or `undefined` once the query
+ * is exhausted. The first `skip` documents are discarded and no more than
+ * `limit` documents are returned in total. Pages may be empty while
+ * documents are being skipped. Pages are fetched through `retry(fn, callback)`
+ * if provided.
+ *
+ * @ignore
+ */
+const paginate = function (iterator, skip, limit, retry) {
+  retry || (retry = (fn, callback) => fn(callback))
+  let done = false
+  let remaining = limit
+
+  return {
+    next () {
+      return new utils.Promise((resolve, reject) => {
+        if (done) {
+          return resolve()
+        }
+        if (!utils.isFunction(iterator.executeNext)) {
+          return reject(new Error('query iterator does not support paging!'))
+        }
+        retry((callback) => iterator.executeNext(callback), (err, page) => {
+          if (err) {
+            return reject(err)
+          }
+          page || (page = [])
+          // Pages may be empty even though more results follow, e.g. when
+          // querying across partitions
+          if (!iterator.hasMoreResults()) {
+            done = true
+          }
+          if (skip) {
+            const skipped = Math.min(skip, page.length)
+            skip -= skipped
+            page = page.slice(skipped)
+          }
+          if (limit) {
+            page = page.slice(0, remaining)
+            remaining -= page.length
+            done = done || !remaining
+          }
+          return resolve(page)
+        })
+      })
+    }
+  }
+}
+
+/**
+ * Call `fn` for every item with no more than `limit` calls pending at a time.
+ * Resolves with the results and the failures of the calls once all of them
+ * have settled.
+ *
+ * @ignore
+ */
+const mapLimit = function (items, limit, fn) {
+  const results = items.map(() => undefined)
+  const errors = []
+  let position = 0
+
+  const work = () => {
+    if (position >= items.length) {
+      return utils.resolve()
+    }
+    const index = position++
+    return utils.resolve()
+      .then(() => fn(items[index], index))
+      .then((result) => {
+        results[index] = result
+      }, (error) => {
+        errors.push({ index, error })
+      })
+      .then(work)
+  }
+
+  const workers = []
+  for (let i = 0; i < Math.min(limit, items.length); i++) {
+    workers.push(work())
+  }
+  return utils.Promise.all(workers).then(() => ({ results, errors }))
+}
+
+/**
+ * Read every page of a query iterator into a single array. See `paginate`.
+ *
+ * @ignore
+ */
+const drain = function (iterator, skip, limit, retry) {
+  const cursor = paginate(iterator, skip, limit, retry)
+  const documents = []
+  const next = () => cursor.next().then((page) => {
+    if (!page) {
+      return documents
+    }
+    documents.push(...page)
+    return next()
+  })
+  return next()
+}
+
 const equal = function (field, value, parameters, collectionId) {
-  return `${collectionId}.${field} = ${addParameter(field, value, parameters)}`
+  return `${compilePath(collectionId, field)} = ${addParameter(field, value, parameters)}`
 }
 
 const notEqual = function (field, value, parameters, collectionId) {
-  return `${collectionId}.${field} != ${addParameter(field, value, parameters)}`
+  return `${compilePath(collectionId, field)} != ${addParameter(field, value, parameters)}`
+}
+
+/**
+ * User defined function used by the `like` operators for patterns that can't
+ * be expressed with STARTSWITH, ENDSWITH or CONTAINS. It is registered in
+ * every collection by {@link DocumentDBAdapter#waitForCollection}.
+ *
+ * @ignore
+ */
+const LIKE_UDF = {
+  id: 'jsDataLike',
+  body: 'function (value, pattern, flags) { return typeof value === "string" && new RegExp(pattern, flags).test(value) }'
+}
+
+/**
+ * Stored procedure used by atomic bulk writes. It applies a list of create,
+ * replace and delete operations within a single partition, and throws to roll
+ * all of them back if any of them fails. When the server stops accepting
+ * requests because the execution ran out of time, it returns how many
+ * operations were applied so that the remaining ones can be sent again. It is
+ * registered in a collection by its first atomic write.
+ *
+ * @ignore
+ */
+const BULK_SPROC = {
+  id: 'jsDataBulk',
+  body: `function (operations) {
+  var collection = getContext().getCollection()
+  var response = getContext().getResponse()
+  var results = []
+  var i = 0
+
+  function docLink (id) {
+    return collection.getAltLink() + '/docs/' + id
+  }
+
+  function next () {
+    if (i >= operations.length) {
+      return response.setBody({ processed: i, results: results })
+    }
+    var operation = operations[i]
+    var options = operation.etag ? { etag: operation.etag } : {}
+    var callback = function (err, document) {
+      if (err) {
+        throw new Error('jsDataBulk:' + err.number + ':' + i)
+      }
+      results.push(document)
+      i++
+      next()
+    }
+    var accepted
+    if (operation.type === 'create') {
+      accepted = collection.createDocument(collection.getSelfLink(), operation.document, options, callback)
+    } else if (operation.type === 'replace') {
+      accepted = collection.replaceDocument(docLink(operation.document.id), operation.document, options, callback)
+    } else {
+      accepted = collection.deleteDocument(docLink(operation.id), options, callback)
+    }
+    if (!accepted) {
+      response.setBody({ processed: i, results: results })
+    }
+  }
+
+  next()
+}`
+}
+
+/**
+ * Link segments of each kind of server-side script.
+ *
+ * @ignore
+ */
+const SCRIPT_LINKS = {
+  StoredProcedure: 'sprocs',
+  Trigger: 'triggers',
+  UserDefinedFunction: 'udfs'
+}
+
+/**
+ * Whether a registered script matches its definition. Trigger types and
+ * operations are compared regardless of case.
+ *
+ * @ignore
+ */
+const isSameScript = function (current, script) {
+  return Object.keys(script).every((key) => {
+    if (key === 'body') {
+      return current.body === script.body
+    }
+    return `${current[key]}`.toLowerCase() === `${script[key]}`.toLowerCase()
+  })
+}
+
+const escapeRegExp = /([.*+?^=!:${}()|[\]\/\\])/g
+
+/**
+ * Translate a js-data `like` pattern, where `%` matches any sequence of
+ * characters and `_` matches a single character, into SQL.
+ *
+ * @ignore
+ */
+const like = function (field, pattern, parameters, collectionId, flags) {
+  if (!utils.isString(pattern)) {
+    throw new Error('like pattern must be a string!')
+  }
+  let path = compilePath(collectionId, field)
+  const leading = pattern.charAt(0) === '%'
+  const trailing = pattern.length > 1 && pattern.charAt(pattern.length - 1) === '%'
+  let literal = pattern.substring(leading ? 1 : 0, trailing ? pattern.length - 1 : pattern.length)
+
+  if (/[%_]/.test(literal)) {
+    const regExp = `^${pattern.replace(escapeRegExp, '\\$1').replace(/%/g, '.*').replace(/_/g, '.')}$`
+    return `udf.${LIKE_UDF.id}(${path}, ${addParameter(field, regExp, parameters)}, ${addParameter(field, flags, parameters)})`
+  }
+  if (flags.indexOf('i') !== -1) {
+    path = `LOWER(${path})`
+    literal = literal.toLowerCase()
+  }
+  const param = addParameter(field, literal, parameters)
+  if (leading && trailing) {
+    return `CONTAINS(${path}, ${param})`
+  } else if (leading) {
+    return `ENDSWITH(${path}, ${param})`
+  } else if (trailing) {
+    return `STARTSWITH(${path}, ${param})`
+  }
+  return `${path} = ${param}`
+}
+
+const likeOperator = function (flags) {
+  return function (field, value, parameters, collectionId) {
+    return like(field, value, parameters, collectionId, flags)
+  }
+}
+
+const notLikeOperator = function (flags) {
+  return function (field, value, parameters, collectionId) {
+    return `NOT (${like(field, value, parameters, collectionId, flags)})`
+  }
 }
 
 /**
@@ -64,6 +768,22 @@ const notEqual = function (field, value, parameters, collectionId) {
  * provided value.
  * @property {function} notContains Operator to test whether an array does NOT
  * contain the provided value.
+ * @property {function} like Operator to test whether a string matches the
+ * provided pattern, where `%` matches any sequence of characters and `_`
+ * matches any single character, e.g. `'%ohn'`. Patterns with wildcards at
+ * the start or end only are translated to STARTSWITH, ENDSWITH or CONTAINS.
+ * Other patterns are tested with a regular expression by a user defined
+ * function.
+ * @property {function} notLike Operator to test whether a string does NOT
+ * match the provided pattern.
+ * @property {function} iLike Case-insensitive version of `like`.
+ * @property {function} notILike Case-insensitive version of `notLike`.
+ * @property {function} likei Same as `iLike`.
+ * @property {function} notLikei Same as `notILike`.
+ * @property {function} startsWith Operator to test whether a string starts
+ * with the provided string.
+ * @property {function} endsWith Operator to test whether a string ends with
+ * the provided string.
  */
 export const OPERATORS = {
   '=': equal,
@@ -72,76 +792,244 @@ export const OPERATORS = {
   '!=': notEqual,
   '!==': notEqual,
   '>': function (field, value, parameters, collectionId) {
-    return `${collectionId}.${field} > ${addParameter(field, value, parameters)}`
+    return `${compilePath(collectionId, field)} > ${addParameter(field, value, parameters)}`
   },
   '>=': function (field, value, parameters, collectionId) {
-    return `${collectionId}.${field} >= ${addParameter(field, value, parameters)}`
+    return `${compilePath(collectionId, field)} >= ${addParameter(field, value, parameters)}`
   },
   '<': function (field, value, parameters, collectionId) {
-    return `${collectionId}.${field} < ${addParameter(field, value, parameters)}`
+    return `${compilePath(collectionId, field)} < ${addParameter(field, value, parameters)}`
   },
   '<=': function (field, value, parameters, collectionId) {
-    return `${collectionId}.${field} <= ${addParameter(field, value, parameters)}`
+    return `${compilePath(collectionId, field)} <= ${addParameter(field, value, parameters)}`
   },
   'in': function (field, value, parameters, collectionId) {
-    return `ARRAY_CONTAINS(${addParameter(field, value, parameters)}, ${collectionId}.${field})`
+    return `ARRAY_CONTAINS(${addParameter(field, value, parameters)}, ${compilePath(collectionId, field)})`
   },
   'notIn': function (field, value, parameters, collectionId) {
-    // return `${collectionId}.${field} NOT IN ${addParameter(field, value, parameters)}`
-    return `NOT ARRAY_CONTAINS(${addParameter(field, value, parameters)}, ${collectionId}.${field})`
+    // return `${compilePath(collectionId, field)} NOT IN ${addParameter(field, value, parameters)}`
+    return `NOT ARRAY_CONTAINS(${addParameter(field, value, parameters)}, ${compilePath(collectionId, field)})`
   },
   'contains': function (field, value, parameters, collectionId) {
-    return `ARRAY_CONTAINS(${collectionId}.${field}, ${addParameter(field, value, parameters)})`
+    return `ARRAY_CONTAINS(${compilePath(collectionId, field)}, ${addParameter(field, value, parameters)})`
   },
   'notContains': function (field, value, parameters, collectionId) {
-    return `NOT ARRAY_CONTAINS(${collectionId}.${field}, ${addParameter(field, value, parameters)})`
+    return `NOT ARRAY_CONTAINS(${compilePath(collectionId, field)}, ${addParameter(field, value, parameters)})`
+  },
+  'like': likeOperator(''),
+  'notLike': notLikeOperator(''),
+  'iLike': likeOperator('i'),
+  'notILike': notLikeOperator('i'),
+  'likei': likeOperator('i'),
+  'notLikei': notLikeOperator('i'),
+  'startsWith': function (field, value, parameters, collectionId) {
+    return `STARTSWITH(${compilePath(collectionId, field)}, ${addParameter(field, value, parameters)})`
+  },
+  'endsWith': function (field, value, parameters, collectionId) {
+    return `ENDSWITH(${compilePath(collectionId, field)}, ${addParameter(field, value, parameters)})`
   }
 }
 
 Object.freeze(OPERATORS)
 
 /**
- * DocumentDBAdapter class.
+ * Create an operator that calls a user defined function with the field and
+ * the value of the predicate. The function must be registered in the
+ * collection, see {@link DocumentDBAdapter#getUserDefinedFunctions}.
+ * Operators named `udf.<id>` don't need to be declared, e.g.
+ * `{ score: { 'udf.fuzzy': 'jon' } }` becomes `udf.fuzzy(user.score, @score)`.
  *
  * @example
- * // Use Container instead of DataStore on the server
- * import { Container } from 'js-data';
- * import { DocumentDBAdapter } from 'js-data-documentdb';
- *
- * // Create a store to hold your Mappers
- * const store = new Container();
- *
- * // Create an instance of DocumentDBAdapter with default settings
  * const adapter = new DocumentDBAdapter({
- *   documentOpts: {
- *     db: 'mydb',
- *     urlConnection: process.env.DOCUMENT_DB_ENDPOINT,
- *     auth: {
- *       masterKey: process.env.DOCUMENT_DB_KEY
- *     }
+ *   operators: {
+ *     fuzzy: udfOperator('fuzzy')
  *   }
- * });
+ * })
+ * adapter.findAll(User, { where: { name: { fuzzy: 'jon' } } })
  *
- * // Mappers in "store" will use the DocumentDB adapter by default
- * store.registerAdapter('documentdb', adapter, { 'default': true });
+ * @name module:js-data-documentdb.udfOperator
+ * @method
+ * @param {string} id Id of the user defined function.
+ * @return {function} The predicate function.
+ */
+export const udfOperator = function (id) {
+  if (!IDENTIFIER.test(id)) {
+    throw new Error(`Invalid user defined function id: ${id}`)
+  }
+  return function (field, value, parameters, collectionId) {
+    return `udf.${id}(${compilePath(collectionId, field)}, ${addParameter(field, value, parameters)})`
+  }
+}
+
+/**
+ * Error returned when an optimistic write fails because the document was
+ * modified by another writer since it was read. See
+ * {@link DocumentDBAdapter#optimistic}.
  *
- * // Create a Mapper that maps to a "user" table
- * store.defineMapper('user');
+ * @example
+ * import { ConflictError } from 'js-data-documentdb'
+ * adapter.update(UserMapper, id, { name: 'John' }, { optimistic: true, etag: user._etag })
+ *   .catch((err) => {
+ *     if (err instanceof ConflictError) {
+ *       // reload the user and try again
+ *     }
+ *   })
+ *
+ * @class ConflictError
+ * @extends Error
+ * @param {(string|number)} id The primary key of the conflicting document.
+ */
+export function ConflictError (id) {
+  /**
+   * The primary key of the conflicting document.
+   *
+   * @name ConflictError#id
+   * @type {(string|number)}
+   */
+  this.id = id
+  this.message = `Document ${id} was modified by another request!`
+
+  /**
+   * The HTTP status code returned by DocumentDB.
+   *
+   * @name ConflictError#code
+   * @type {number}
+   * @default 412
+   */
+  this.code = 412
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, ConflictError)
+  } else {
+    this.stack = new Error(this.message).stack
+  }
+}
+
+ConflictError.prototype = Object.create(Error.prototype, {
+  constructor: {
+    value: ConflictError,
+    writable: true,
+    configurable: true
+  },
+  name: {
+    value: 'ConflictError',
+    writable: true,
+    configurable: true
+  }
+})
+
+/**
+ * Error returned when some of the documents of a batch write could not be
+ * written. The other documents are written regardless. See
+ * {@link DocumentDBAdapter#concurrency}.
+ *
+ * @example
+ * import { BulkWriteError } from 'js-data-documentdb'
+ * adapter.createMany(UserMapper, users)
+ *   .catch((err) => {
+ *     if (err instanceof BulkWriteError) {
+ *       err.errors.forEach(({ index, error }) => console.error(users[index], error))
+ *     }
+ *   })
+ *
+ * @class BulkWriteError
+ * @extends Error
+ * @param {Object[]} errors The failed writes.
+ * @param {Array} results The results of the writes.
+ */
+export function BulkWriteError (errors, results) {
+  /**
+   * The failed writes, ordered by `index`. Each failure has the `index` of
+   * the record in the batch, its `id` if it has one, and the `error`.
+   *
+   * @name BulkWriteError#errors
+   * @type {Object[]}
+   */
+  this.errors = errors
+
+  /**
+   * The results of the writes, in the order of the batch. Failed writes have
+   * no result.
+   *
+   * @name BulkWriteError#results
+   * @type {Array}
+   */
+  this.results = results
+  this.message = `${errors.length} of ${results.length} writes failed!`
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, BulkWriteError)
+  } else {
+    this.stack = new Error(this.message).stack
+  }
+}
+
+BulkWriteError.prototype = Object.create(Error.prototype, {
+  constructor: {
+    value: BulkWriteError,
+    writable: true,
+    configurable: true
+  },
+  name: {
+    value: 'BulkWriteError',
+    writable: true,
+    configurable: true
+  }
+})
+
+/**
+ * DocumentDBAdapter class.
+ *
+ * @example
+ * // Use Container instead of DataStore on the server
+ * import { Container } from 'js-data';
+ * import { DocumentDBAdapter } from 'js-data-documentdb';
+ *
+ * // Create a store to hold your Mappers
+ * const store = new Container();
+ *
+ * // Create an instance of DocumentDBAdapter with default settings
+ * const adapter = new DocumentDBAdapter({
+ *   documentOpts: {
+ *     db: 'mydb',
+ *     urlConnection: process.env.DOCUMENT_DB_ENDPOINT,
+ *     auth: {
+ *       masterKey: process.env.DOCUMENT_DB_KEY
+ *     }
+ *   }
+ * });
+ *
+ * // Mappers in "store" will use the DocumentDB adapter by default
+ * store.registerAdapter('documentdb', adapter, { 'default': true });
+ *
+ * // Create a Mapper that maps to a "user" table
+ * store.defineMapper('user');
  *
  * @class DocumentDBAdapter
  * @extends Adapter
  * @param {object} [opts] Configuration options.
  * @param {object} [opts.client] See {@link DocumentDBAdapter#client}.
  * @param {boolean} [opts.debug=false] See {@link Adapter#debug}.
+ * @param {string} [opts.deletedAtField="deletedAt"] See {@link DocumentDBAdapter#deletedAtField}.
  * @param {object} [opts.documentOpts={}] See {@link DocumentDBAdapter#documentOpts}.
  * @param {object} [opts.feedOpts={}] See {@link DocumentDBAdapter#feedOpts}.
+ * @param {number} [opts.maxCachedCollections=100] See {@link DocumentDBAdapter#maxCachedCollections}.
+ * @param {string} [opts.metaCollection="js_data_meta"] See {@link DocumentDBAdapter#metaCollection}.
  * @param {object} [opts.operators={@link module:js-data-documentdb.OPERATORS}] See {@link DocumentDBAdapter#operators}.
+ * @param {boolean} [opts.optimistic=false] See {@link DocumentDBAdapter#optimistic}.
+ * @param {number} [opts.optimisticRetries=3] See {@link DocumentDBAdapter#optimisticRetries}.
  * @param {boolean} [opts.raw=false] See {@link Adapter#raw}.
  * @param {object} [opts.requestOpts={}] See {@link DocumentDBAdapter#requestOpts}.
+ * @param {Function} [opts.resolveCollection] See {@link DocumentDBAdapter#resolveCollection}.
+ * @param {Function} [opts.resolveDb] See {@link DocumentDBAdapter#resolveDb}.
+ * @param {string} [opts.schemaVersionField="_schemaVersion"] See {@link DocumentDBAdapter#schemaVersionField}.
+ * @param {boolean} [opts.serverAggregates=true] See {@link DocumentDBAdapter#serverAggregates}.
+ * @param {boolean} [opts.softDelete=false] See {@link DocumentDBAdapter#softDelete}.
+ * @param {Object[]} [opts.udfs=[]] See {@link DocumentDBAdapter#udfs}.
+ * @param {boolean} [opts.upgradeOnRead=false] See {@link DocumentDBAdapter#upgradeOnRead}.
  */
 export function DocumentDBAdapter (opts) {
   utils.classCallCheck(this, DocumentDBAdapter)
   opts || (opts = {})
+  utils.fillIn(opts, DEFAULTS)
 
   // Setup non-enumerable properties
   Object.defineProperties(this, {
@@ -186,11 +1074,28 @@ export function DocumentDBAdapter (opts) {
     databases: {
       value: {}
     },
+    /**
+     * The indexing policies applied with
+     * {@link DocumentDBAdapter#ensureIndexes}, keyed by database and
+     * collection.
+     *
+     * @name DocumentDBAdapter#indices
+     * @type {object}
+     */
     indices: {
       value: {}
     },
     collections: {
       value: {}
+    },
+    // Keys of the cached collections, least recently used first
+    cachedCollections: {
+      value: []
+    },
+    // Registrations of the server-side scripts that are only registered once
+    // they are needed, keyed by database and collection
+    scripts: {
+      value: {}
     }
   })
 
@@ -268,33 +1173,440 @@ export function DocumentDBAdapter (opts) {
 Adapter.extend({
   constructor: DocumentDBAdapter,
 
-  _count (mapper, query, opts) {
+  /**
+   * Lifecycle method method called by <a href="#avg__anchor">avg</a>.
+   * See {@link DocumentDBAdapter#afterFindPage} for details.
+   *
+   * @name DocumentDBAdapter#afterAvg
+   * @method
+   * @param {Object} mapper The `mapper` argument passed to <a href="#avg__anchor">avg</a>.
+   * @param {string} field The `field` argument passed to <a href="#avg__anchor">avg</a>.
+   * @param {Object} query The `query` argument passed to <a href="#avg__anchor">avg</a>.
+   * @param {Object} opts The `opts` argument passed to <a href="#avg__anchor">avg</a>.
+   * @property {string} opts.op `afterAvg`
+   * @param {*|Response} response Average or {@link Response}, depending on the value of `opts.raw`.
+   */
+  afterAvg: noop2,
+
+  /**
+   * Lifecycle method method called by <a href="#findPage__anchor">findPage</a>.
+   *
+   * Override this method to add custom behavior for this lifecycle hook.
+   *
+   * Returning a Promise causes <a href="#findPage__anchor">findPage</a> to wait for the Promise to resolve before continuing.
+   *
+   * If `opts.raw` is `true` then `response` will be a detailed response object, otherwise `response` will be the page.
+   *
+   * `response` may be modified. You can also re-assign `response` to another value by returning a different value or a Promise that resolves to a different value.
+   *
+   * A thrown error or rejected Promise will bubble up and reject the Promise returned by <a href="#findPage__anchor">findPage</a>.
+   *
+   * @name DocumentDBAdapter#afterFindPage
+   * @method
+   * @param {Object} mapper The `mapper` argument passed to <a href="#findPage__anchor">findPage</a>.
+   * @param {Object} query The `query` argument passed to <a href="#findPage__anchor">findPage</a>.
+   * @param {Object} opts The `opts` argument passed to <a href="#findPage__anchor">findPage</a>.
+   * @property {string} opts.op `afterFindPage`
+   * @param {Object|Response} response The page or {@link Response}, depending on the value of `opts.raw`.
+   */
+  afterFindPage: noop2,
+
+  /**
+   * Lifecycle method method called by <a href="#groupBy__anchor">groupBy</a>.
+   * See {@link DocumentDBAdapter#afterFindPage} for details.
+   *
+   * @name DocumentDBAdapter#afterGroupBy
+   * @method
+   * @param {Object} mapper The `mapper` argument passed to <a href="#groupBy__anchor">groupBy</a>.
+   * @param {string} field The `field` argument passed to <a href="#groupBy__anchor">groupBy</a>.
+   * @param {Object} query The `query` argument passed to <a href="#groupBy__anchor">groupBy</a>.
+   * @param {Object} opts The `opts` argument passed to <a href="#groupBy__anchor">groupBy</a>.
+   * @property {string} opts.op `afterGroupBy`
+   * @param {Object[]|Response} response Groups or {@link Response}, depending on the value of `opts.raw`.
+   */
+  afterGroupBy: noop2,
+
+  /**
+   * Lifecycle method method called by <a href="#max__anchor">max</a>.
+   * See {@link DocumentDBAdapter#afterFindPage} for details.
+   *
+   * @name DocumentDBAdapter#afterMax
+   * @method
+   * @param {Object} mapper The `mapper` argument passed to <a href="#max__anchor">max</a>.
+   * @param {string} field The `field` argument passed to <a href="#max__anchor">max</a>.
+   * @param {Object} query The `query` argument passed to <a href="#max__anchor">max</a>.
+   * @param {Object} opts The `opts` argument passed to <a href="#max__anchor">max</a>.
+   * @property {string} opts.op `afterMax`
+   * @param {*|Response} response Maximum or {@link Response}, depending on the value of `opts.raw`.
+   */
+  afterMax: noop2,
+
+  /**
+   * Lifecycle method method called by <a href="#min__anchor">min</a>.
+   * See {@link DocumentDBAdapter#afterFindPage} for details.
+   *
+   * @name DocumentDBAdapter#afterMin
+   * @method
+   * @param {Object} mapper The `mapper` argument passed to <a href="#min__anchor">min</a>.
+   * @param {string} field The `field` argument passed to <a href="#min__anchor">min</a>.
+   * @param {Object} query The `query` argument passed to <a href="#min__anchor">min</a>.
+   * @param {Object} opts The `opts` argument passed to <a href="#min__anchor">min</a>.
+   * @property {string} opts.op `afterMin`
+   * @param {*|Response} response Minimum or {@link Response}, depending on the value of `opts.raw`.
+   */
+  afterMin: noop2,
+
+  /**
+   * Lifecycle method method called by <a href="#purge__anchor">purge</a>.
+   * See {@link DocumentDBAdapter#afterFindPage} for details.
+   *
+   * @name DocumentDBAdapter#afterPurge
+   * @method
+   * @param {Object} mapper The `mapper` argument passed to <a href="#purge__anchor">purge</a>.
+   * @param {Object} query The `query` argument passed to <a href="#purge__anchor">purge</a>.
+   * @param {Object} opts The `opts` argument passed to <a href="#purge__anchor">purge</a>.
+   * @property {string} opts.op `afterPurge`
+   * @param {undefined|Response} response `undefined` or {@link Response}, depending on the value of `opts.raw`.
+   */
+  afterPurge: noop2,
+
+  /**
+   * Lifecycle method method called by <a href="#restore__anchor">restore</a>.
+   * See {@link DocumentDBAdapter#afterFindPage} for details.
+   *
+   * @name DocumentDBAdapter#afterRestore
+   * @method
+   * @param {Object} mapper The `mapper` argument passed to <a href="#restore__anchor">restore</a>.
+   * @param {(string|number)} id The `id` argument passed to <a href="#restore__anchor">restore</a>.
+   * @param {Object} opts The `opts` argument passed to <a href="#restore__anchor">restore</a>.
+   * @property {string} opts.op `afterRestore`
+   * @param {Object|Response} response The restored record or {@link Response}, depending on the value of `opts.raw`.
+   */
+  afterRestore: noop2,
+
+  /**
+   * Lifecycle method method called by <a href="#upsert__anchor">upsert</a>.
+   * See {@link DocumentDBAdapter#afterFindPage} for details.
+   *
+   * @name DocumentDBAdapter#afterUpsert
+   * @method
+   * @param {Object} mapper The `mapper` argument passed to <a href="#upsert__anchor">upsert</a>.
+   * @param {Object} props The `props` argument passed to <a href="#upsert__anchor">upsert</a>.
+   * @param {Object} opts The `opts` argument passed to <a href="#upsert__anchor">upsert</a>.
+   * @property {string} opts.op `afterUpsert`
+   * @param {Object|Response} response The record or {@link Response}, depending on the value of `opts.raw`.
+   */
+  afterUpsert: noop2,
+
+  /**
+   * Lifecycle method method called by <a href="#upsertMany__anchor">upsertMany</a>.
+   * See {@link DocumentDBAdapter#afterFindPage} for details.
+   *
+   * @name DocumentDBAdapter#afterUpsertMany
+   * @method
+   * @param {Object} mapper The `mapper` argument passed to <a href="#upsertMany__anchor">upsertMany</a>.
+   * @param {Object[]} records The `records` argument passed to <a href="#upsertMany__anchor">upsertMany</a>.
+   * @param {Object} opts The `opts` argument passed to <a href="#upsertMany__anchor">upsertMany</a>.
+   * @property {string} opts.op `afterUpsertMany`
+   * @param {Object[]|Response} response The records or {@link Response}, depending on the value of `opts.raw`.
+   */
+  afterUpsertMany: noop2,
+
+  /**
+   * Lifecycle method method called by <a href="#avg__anchor">avg</a>.
+   * See {@link DocumentDBAdapter#beforeFindPage} for details.
+   *
+   * @name DocumentDBAdapter#beforeAvg
+   * @method
+   * @param {Object} mapper The `mapper` argument passed to <a href="#avg__anchor">avg</a>.
+   * @param {string} field The `field` argument passed to <a href="#avg__anchor">avg</a>.
+   * @param {Object} query The `query` argument passed to <a href="#avg__anchor">avg</a>.
+   * @param {Object} opts The `opts` argument passed to <a href="#avg__anchor">avg</a>.
+   * @property {string} opts.op `beforeAvg`
+   */
+  beforeAvg: noop,
+
+  /**
+   * Lifecycle method method called by <a href="#findPage__anchor">findPage</a>.
+   *
+   * Override this method to add custom behavior for this lifecycle hook.
+   *
+   * Returning a Promise causes <a href="#findPage__anchor">findPage</a> to wait for the Promise to resolve before continuing.
+   *
+   * A thrown error or rejected Promise will bubble up and reject the Promise returned by <a href="#findPage__anchor">findPage</a>.
+   *
+   * @name DocumentDBAdapter#beforeFindPage
+   * @method
+   * @param {Object} mapper The `mapper` argument passed to <a href="#findPage__anchor">findPage</a>.
+   * @param {Object} query The `query` argument passed to <a href="#findPage__anchor">findPage</a>.
+   * @param {Object} opts The `opts` argument passed to <a href="#findPage__anchor">findPage</a>.
+   * @property {string} opts.op `beforeFindPage`
+   */
+  beforeFindPage: noop,
+
+  /**
+   * Lifecycle method method called by <a href="#groupBy__anchor">groupBy</a>.
+   * See {@link DocumentDBAdapter#beforeFindPage} for details.
+   *
+   * @name DocumentDBAdapter#beforeGroupBy
+   * @method
+   * @param {Object} mapper The `mapper` argument passed to <a href="#groupBy__anchor">groupBy</a>.
+   * @param {string} field The `field` argument passed to <a href="#groupBy__anchor">groupBy</a>.
+   * @param {Object} query The `query` argument passed to <a href="#groupBy__anchor">groupBy</a>.
+   * @param {Object} opts The `opts` argument passed to <a href="#groupBy__anchor">groupBy</a>.
+   * @property {string} opts.op `beforeGroupBy`
+   */
+  beforeGroupBy: noop,
+
+  /**
+   * Lifecycle method method called by <a href="#max__anchor">max</a>.
+   * See {@link DocumentDBAdapter#beforeFindPage} for details.
+   *
+   * @name DocumentDBAdapter#beforeMax
+   * @method
+   * @param {Object} mapper The `mapper` argument passed to <a href="#max__anchor">max</a>.
+   * @param {string} field The `field` argument passed to <a href="#max__anchor">max</a>.
+   * @param {Object} query The `query` argument passed to <a href="#max__anchor">max</a>.
+   * @param {Object} opts The `opts` argument passed to <a href="#max__anchor">max</a>.
+   * @property {string} opts.op `beforeMax`
+   */
+  beforeMax: noop,
+
+  /**
+   * Lifecycle method method called by <a href="#min__anchor">min</a>.
+   * See {@link DocumentDBAdapter#beforeFindPage} for details.
+   *
+   * @name DocumentDBAdapter#beforeMin
+   * @method
+   * @param {Object} mapper The `mapper` argument passed to <a href="#min__anchor">min</a>.
+   * @param {string} field The `field` argument passed to <a href="#min__anchor">min</a>.
+   * @param {Object} query The `query` argument passed to <a href="#min__anchor">min</a>.
+   * @param {Object} opts The `opts` argument passed to <a href="#min__anchor">min</a>.
+   * @property {string} opts.op `beforeMin`
+   */
+  beforeMin: noop,
+
+  /**
+   * Lifecycle method method called by <a href="#purge__anchor">purge</a>.
+   * See {@link DocumentDBAdapter#beforeFindPage} for details.
+   *
+   * @name DocumentDBAdapter#beforePurge
+   * @method
+   * @param {Object} mapper The `mapper` argument passed to <a href="#purge__anchor">purge</a>.
+   * @param {Object} query The `query` argument passed to <a href="#purge__anchor">purge</a>.
+   * @param {Object} opts The `opts` argument passed to <a href="#purge__anchor">purge</a>.
+   * @property {string} opts.op `beforePurge`
+   */
+  beforePurge: noop,
+
+  /**
+   * Lifecycle method method called by <a href="#restore__anchor">restore</a>.
+   * See {@link DocumentDBAdapter#beforeFindPage} for details.
+   *
+   * @name DocumentDBAdapter#beforeRestore
+   * @method
+   * @param {Object} mapper The `mapper` argument passed to <a href="#restore__anchor">restore</a>.
+   * @param {(string|number)} id The `id` argument passed to <a href="#restore__anchor">restore</a>.
+   * @param {Object} opts The `opts` argument passed to <a href="#restore__anchor">restore</a>.
+   * @property {string} opts.op `beforeRestore`
+   */
+  beforeRestore: noop,
+
+  /**
+   * Lifecycle method method called by <a href="#upsert__anchor">upsert</a>.
+   * See {@link DocumentDBAdapter#beforeFindPage} for details.
+   *
+   * `props` may be re-assigned by returning a different value or a Promise
+   * that resolves to a different value.
+   *
+   * @name DocumentDBAdapter#beforeUpsert
+   * @method
+   * @param {Object} mapper The `mapper` argument passed to <a href="#upsert__anchor">upsert</a>.
+   * @param {Object} props The `props` argument passed to <a href="#upsert__anchor">upsert</a>.
+   * @param {Object} opts The `opts` argument passed to <a href="#upsert__anchor">upsert</a>.
+   * @property {string} opts.op `beforeUpsert`
+   */
+  beforeUpsert: noop,
+
+  /**
+   * Lifecycle method method called by <a href="#upsertMany__anchor">upsertMany</a>.
+   * See {@link DocumentDBAdapter#beforeFindPage} for details.
+   *
+   * `records` may be re-assigned by returning a different value or a Promise
+   * that resolves to a different value.
+   *
+   * @name DocumentDBAdapter#beforeUpsertMany
+   * @method
+   * @param {Object} mapper The `mapper` argument passed to <a href="#upsertMany__anchor">upsertMany</a>.
+   * @param {Object[]} records The `records` argument passed to <a href="#upsertMany__anchor">upsertMany</a>.
+   * @param {Object} opts The `opts` argument passed to <a href="#upsertMany__anchor">upsertMany</a>.
+   * @property {string} opts.op `beforeUpsertMany`
+   */
+  beforeUpsertMany: noop,
+
+  _aggregate (mapper, fn, field, query, opts) {
     opts || (opts = {})
     query || (query = {})
 
-    const collectionId = mapper.collection || underscore(mapper.name)
-    opts.select = `${collectionId}.${mapper.idAttribute}`
+    if (fn !== 'COUNT' && !utils.isString(field)) {
+      throw new Error('field must be a string!')
+    }
 
-    return this._findAll(mapper, query, opts)
-      .then((result) => [result[0].length, { found: result[0].length }])
+    if (!this.getOpt('serverAggregates', opts) || query.limit || query.skip || query.offset) {
+      return this._fold(mapper, fn, field, query, opts)
+    }
+
+    return this.resolveRelationFilters(mapper, query, opts).then((query) => {
+      const collLink = this.getCollectionLink(mapper, opts)
+      const feedOpts = this.getFeedOpts(mapper, query, opts)
+      const aggregateOpts = { aggregate: { fn, field } }
+      utils.fillIn(aggregateOpts, opts)
+      const querySpec = this.getQuerySpec(mapper, query, aggregateOpts)
+
+      return new utils.Promise((resolve, reject) => {
+        this._retry(opts, (callback) => this.client.queryDocuments(collLink, querySpec, feedOpts).toArray(callback), (err, values) => {
+          if (err) {
+            return reject(err)
+          }
+          return resolve(values)
+        })
+      }).then((values) => {
+        // Cross-partition queries return one partial result per partition.
+        // Partial averages can't be combined, so fold those in memory instead.
+        if (fn === 'AVG' && values.length > 1) {
+          return this._fold(mapper, fn, field, query, opts)
+        }
+        // DocumentDB returns no sum when the values are of mixed types
+        if (fn === 'SUM' && !values.length) {
+          return undefined
+        }
+        const fold = fn === 'COUNT' ? FOLDS.SUM : FOLDS[fn]
+        return fold.result(values.reduce(fold.step, fold.initial()))
+      })
+    })
+  },
+
+  _avg (mapper, field, query, opts) {
+    return this._aggregate(mapper, 'AVG', field, query, opts)
+      .then((avg) => [avg, {}])
+  },
+
+  _bulk (mapper, operations, opts) {
+    const sprocLink = `${this.getCollectionLink(mapper, opts)}/sprocs/${BULK_SPROC.id}`
+    const results = []
+
+    // Each execution of the stored procedure is scoped to a single partition
+    const partitions = {}
+    operations.forEach((operation, index) => {
+      const partitionKey = mapper.partitionKey ? this.getPartitionKey(mapper, operation.document) : undefined
+      const key = JSON.stringify(partitionKey)
+      partitions[key] || (partitions[key] = { partitionKey, operations: [], indexes: [] })
+      partitions[key].operations.push({
+        type: operation.type,
+        id: operation.id,
+        etag: operation.etag,
+        // Deletes only need the id
+        document: operation.type === 'delete' ? undefined : withTtl(operation.document, opts)
+      })
+      partitions[key].indexes.push(index)
+    })
+
+    const execute = (partition, offset) => {
+      const requestOpts = this.getOpt('requestOpts', opts)
+      if (mapper.partitionKey) {
+        requestOpts.partitionKey = partition.partitionKey
+      }
+      return new utils.Promise((resolve, reject) => {
+        this._retry(opts, (callback) => this.client.executeStoredProcedure(sprocLink, [partition.operations.slice(offset)], requestOpts, callback), (err, body) => {
+          if (err) {
+            // The error thrown by the stored procedure reads "jsDataBulk:<status>:<index>"
+            const match = /jsDataBulk:(\d+):(\d+)/.exec(err.body || err.message || '')
+            if (match && +match[1] === 412) {
+              const operation = partition.operations[offset + +match[2]]
+              return reject(new ConflictError(operation.id || operation.document.id))
+            }
+            return reject(err)
+          }
+          return resolve(body)
+        })
+      }).then((body) => {
+        if (!body.processed) {
+          throw new Error('Bulk stored procedure timed out without writing any document!')
+        }
+        body.results.forEach((result, i) => {
+          results[partition.indexes[offset + i]] = result
+        })
+        offset += body.processed
+        // The stored procedure ran out of time, continue where it stopped
+        return offset < partition.operations.length ? execute(partition, offset) : undefined
+      })
+    }
+
+    if (!operations.length) {
+      return utils.resolve(results)
+    }
+    return Object.keys(partitions).reduce((promise, key) => {
+      return promise.then(() => execute(partitions[key], 0))
+    }, this._ensureScripts(mapper, 'StoredProcedure', [BULK_SPROC], opts)).then(() => results)
+  },
+
+  _cacheCollection (dbId, collectionId, promise) {
+    const key = JSON.stringify([dbId, collectionId])
+    const index = this.cachedCollections.indexOf(key)
+    if (index !== -1) {
+      this.cachedCollections.splice(index, 1)
+    }
+    this.cachedCollections.push(key)
+    this.collections[dbId] || (this.collections[dbId] = {})
+    this.collections[dbId][collectionId] = promise
+
+    while (this.maxCachedCollections > 0 && this.cachedCollections.length > this.maxCachedCollections) {
+      const [evictedDbId, evictedCollectionId] = JSON.parse(this.cachedCollections.shift())
+      if (this.indices[evictedDbId]) {
+        delete this.indices[evictedDbId][evictedCollectionId]
+      }
+      if (this.scripts[evictedDbId]) {
+        delete this.scripts[evictedDbId][evictedCollectionId]
+      }
+      if (this.collections[evictedDbId]) {
+        delete this.collections[evictedDbId][evictedCollectionId]
+        if (!Object.keys(this.collections[evictedDbId]).length) {
+          delete this.collections[evictedDbId]
+          delete this.databases[evictedDbId]
+          delete this.indices[evictedDbId]
+          delete this.scripts[evictedDbId]
+        }
+      }
+    }
+    return promise
+  },
+
+  _count (mapper, query, opts) {
+    return this._aggregate(mapper, 'COUNT', undefined, query, opts)
+      .then((count) => [count, { found: count }])
   },
 
   _create (mapper, props, opts) {
     props || (props = {})
     opts || (opts = {})
 
+    const requestOpts = this._includeTriggers(mapper, 'create', this.getOpt('requestOpts', opts), opts)
+    if (mapper.partitionKey) {
+      requestOpts.partitionKey = this.getPartitionKey(mapper, props)
+    }
+
     return new utils.Promise((resolve, reject) => {
-      this.client.createDocument(
+      this._retry(opts, (callback) => this.client.createDocument(
         this.getCollectionLink(mapper, opts),
-        utils.plainCopy(props),
-        this.getOpt('requestOpts', opts),
-        (err, document) => {
-          if (err) {
-            return reject(err)
-          }
-          return resolve([document, { created: 1 }])
+        withTtl(this._stamp(mapper, utils.plainCopy(props), opts), opts),
+        requestOpts,
+        callback
+      ), (err, document) => {
+        if (err) {
+          return reject(err)
         }
-      )
+        return resolve([document, { created: 1 }])
+      })
     })
   },
 
@@ -302,23 +1614,85 @@ Adapter.extend({
     props || (props = {})
     opts || (opts = {})
 
-    return utils.Promise.all(props.map((record) => this._create(mapper, record, opts)))
-      .then((results) => results.map((result) => result[0]))
+    if (this.getOpt('atomic', opts)) {
+      return this._bulk(mapper, props.map((record) => {
+        return { type: 'create', document: this._stamp(mapper, utils.plainCopy(record), opts) }
+      }), opts)
+        .then((results) => [results, { created: results.length }])
+    }
+
+    return this._map(props, opts, (record) => this._create(mapper, record, opts).then((result) => result[0]))
       .then((results) => [results, { created: results.length }])
   },
 
   _destroy (mapper, id, opts) {
     opts || (opts = {})
 
-    const collLink = this.getCollectionLink(mapper, opts)
-    const requestOpts = this.getOpt('requestOpts', opts)
+    if (this._isSoftDelete(mapper, opts)) {
+      return this._find(mapper, id, opts).then((result) => {
+        const document = result[0]
+        if (!document) {
+          return [undefined, { deleted: 0 }]
+        }
+        if (this.getOpt('optimistic', opts) && opts.etag && document._etag !== opts.etag) {
+          throw new ConflictError(id)
+        }
+        document[this.getOpt('deletedAtField', opts)] = new Date().toISOString()
+        return this._replace(mapper, document, opts).then(() => [undefined, { deleted: 1 }])
+      })
+    }
+
+    if (this.getOpt('optimistic', opts) && !opts.etag) {
+      // Only delete the version of the document read here, like updates only
+      // replace the version they merged into
+      return this._find(mapper, id, opts).then((result) => {
+        const document = result[0]
+        if (!document) {
+          return [undefined, { deleted: 0 }]
+        }
+        const destroyOpts = {
+          etag: document._etag,
+          partitionKey: mapper.partitionKey ? this.getPartitionKey(mapper, document) : undefined
+        }
+        utils.fillIn(destroyOpts, opts)
+        return this._destroy(mapper, id, destroyOpts)
+      })
+    }
+
+    const partitionKey = this._getPartitionKeyForId(mapper, id, opts)
+    if (mapper.partitionKey && partitionKey === undefined) {
+      // Look the document up across partitions to learn its partition key
+      return this._find(mapper, id, opts).then((result) => {
+        if (!result[0]) {
+          return [undefined, { deleted: 0 }]
+        }
+        const destroyOpts = { partitionKey: this.getPartitionKey(mapper, result[0]) }
+        if (destroyOpts.partitionKey === undefined) {
+          throw new Error(`Document ${id} has no partition key!`)
+        }
+        utils.fillIn(destroyOpts, opts)
+        return this._destroy(mapper, id, destroyOpts)
+      })
+    }
+
+    const requestOpts = this._includeTriggers(mapper, 'delete', this.getOpt('requestOpts', opts), opts)
+    if (mapper.partitionKey) {
+      requestOpts.partitionKey = partitionKey
+    }
+
+    if (this.getOpt('optimistic', opts) && opts.etag) {
+      requestOpts.accessCondition = { type: 'IfMatch', condition: opts.etag }
+    }
 
     return new utils.Promise((resolve, reject) => {
-      this.client.deleteDocument(`${collLink}/docs/${id}`, requestOpts, (err) => {
+      this._retry(opts, (callback) => this.client.deleteDocument(this.getDocumentLink(mapper, id, opts), requestOpts, callback), (err) => {
         if (err) {
           if (err.code === 404) {
             return resolve([undefined, { deleted: 0 }])
           }
+          if (err.code === 412 && requestOpts.accessCondition) {
+            return reject(new ConflictError(id))
+          }
           return reject(err)
         }
         return resolve([undefined, { deleted: 1 }])
@@ -330,29 +1704,120 @@ Adapter.extend({
     query || (query = {})
     opts || (opts = {})
 
-    const destroyFn = (document) => this._destroy(mapper, document.id, opts)
+    if (this.getOpt('atomic', opts)) {
+      // Deleting against the etags read here rolls the batch back if any
+      // document changed in the meantime
+      const deletedAt = this._isSoftDelete(mapper, opts) ? new Date().toISOString() : undefined
+      return this._findAll(mapper, query, opts)
+        .then((result) => this._bulk(mapper, result[0].map((document) => {
+          if (deletedAt) {
+            const etag = document._etag
+            document[this.getOpt('deletedAtField', opts)] = deletedAt
+            return { type: 'replace', etag, document }
+          }
+          return { type: 'delete', id: document.id, etag: document._etag, document }
+        }), opts))
+        .then((results) => [undefined, { deleted: results.length }])
+    }
 
-    return this._findAll(mapper, query, opts)
-      .then((results) => utils.Promise.all(results[0].map(destroyFn)))
-      .then((results) => [undefined, { deleted: results.length }])
-  },
+    const optimistic = this.getOpt('optimistic', opts)
+    let retries = optimistic ? +this.getOpt('optimisticRetries', opts) || 0 : 0
+    let deleted = 0
+
+    const destroyFn = (document) => {
+      const destroyOpts = {
+        etag: optimistic ? document._etag : null,
+        partitionKey: mapper.partitionKey ? this.getPartitionKey(mapper, document) : undefined
+      }
+      utils.fillIn(destroyOpts, opts)
+      return this._destroy(mapper, document.id, destroyOpts)
+        .then((result) => {
+          deleted += result[1].deleted
+        }, (err) => {
+          if (err instanceof ConflictError) {
+            return err
+          }
+          throw err
+        })
+    }
+
+    // Documents that changed after they were selected are selected again, so
+    // that they are only destroyed if they still match the query
+    const attempt = () => this._findAll(mapper, query, opts)
+      .then((results) => this._map(results[0], opts, destroyFn))
+      .then((results) => {
+        const conflict = results.filter((result) => result instanceof ConflictError)[0]
+        if (conflict) {
+          if (retries-- > 0) {
+            return attempt()
+          }
+          throw conflict
+        }
+      })
+
+    return attempt().then(() => [undefined, { deleted }])
+  },
+
+  _ensureScripts (mapper, type, scripts, opts) {
+    const dbId = this.getDbId(mapper, opts)
+    const collectionId = this.getCollectionId(mapper, opts)
+    this.scripts[dbId] || (this.scripts[dbId] = {})
+    const registered = this.scripts[dbId][collectionId] || (this.scripts[dbId][collectionId] = {})
+    const key = (script) => `${type}.${script.id}`
+
+    const missing = scripts.filter((script) => !registered[key(script)])
+    if (missing.length) {
+      const promise = this._registerScripts(this.getCollectionLink(mapper, opts), type, missing, opts)
+      missing.forEach((script) => {
+        registered[key(script)] = promise.catch((err) => {
+          // Try again with the next request that needs it
+          delete registered[key(script)]
+          throw err
+        })
+      })
+    }
+    return utils.Promise.all(scripts.map((script) => registered[key(script)]))
+  },
 
   _find (mapper, id, opts) {
     opts || (opts = {})
 
-    const docLink = `${this.getCollectionLink(mapper, opts)}/docs/${id}`
+    const partitionKey = this._getPartitionKeyForId(mapper, id, opts)
+    if (mapper.partitionKey && partitionKey === undefined) {
+      // Without a partition key the document can only be found with a query
+      const query = { where: { id: { '==': id } } }
+      return this._findAll(mapper, query, opts).then((result) => {
+        const document = result[0][0]
+        return [document, { found: document ? 1 : 0 }]
+      })
+    }
+
+    const docLink = this.getDocumentLink(mapper, id, opts)
     const requestOpts = this.getOpt('requestOpts', opts)
+    if (mapper.partitionKey) {
+      requestOpts.partitionKey = partitionKey
+    }
 
     return new utils.Promise((resolve, reject) => {
-      this.client.readDocument(docLink, requestOpts, (err, document) => {
+      this._retry(opts, (callback) => this.client.readDocument(docLink, requestOpts, callback), (err, document) => {
         if (err) {
           if (err.code === 404) {
             return resolve([undefined, { found: 0 }])
           }
           return reject(err)
         }
+        const discriminator = this.getDiscriminator(mapper)
+        if (document && discriminator && document[discriminator.field] !== discriminator.value) {
+          // The id belongs to a document of another mapper of the shared collection
+          return resolve([undefined, { found: 0 }])
+        }
+        if (document && !opts.withDeleted && this._isSoftDelete(mapper, opts) && !utils.isUndefined(document[this.getOpt('deletedAtField', opts)])) {
+          return resolve([undefined, { found: 0 }])
+        }
         return resolve([document, { found: document ? 1 : 0 }])
       })
+    }).then((result) => {
+      return this._upgrade(mapper, [result[0]], opts).then((documents) => [documents[0], result[1]])
     })
   },
 
@@ -360,388 +1825,2291 @@ Adapter.extend({
     opts || (opts = {})
     query || (query = {})
 
-    const collLink = this.getCollectionLink(mapper, opts)
-    const feedOpts = this.getOpt('feedOpts', opts)
-    const querySpec = this.getQuerySpec(mapper, query, opts)
+    return this.resolveRelationFilters(mapper, query, opts).then((query) => {
+      const collLink = this.getCollectionLink(mapper, opts)
+      const feedOpts = this.getFeedOpts(mapper, query, opts)
+      const querySpec = this.getQuerySpec(mapper, query, opts)
+      const skip = +(query.skip || query.offset) || 0
 
-    return new utils.Promise((resolve, reject) => {
-      this.client.queryDocuments(collLink, querySpec, feedOpts).toArray((err, documents) => {
-        if (err) {
-          return reject(err)
-        }
-        return resolve([documents, { found: documents.length }])
+      if (skip) {
+        // DocumentDB has no SKIP clause, so the skipped documents are read
+        // and discarded here. See DocumentDBAdapter#getQuerySpec.
+        const iterator = this.client.queryDocuments(collLink, querySpec, feedOpts)
+        return drain(iterator, skip, +query.limit || 0, (fn, callback) => this._retry(opts, fn, callback))
+      }
+
+      return new utils.Promise((resolve, reject) => {
+        this._retry(opts, (callback) => this.client.queryDocuments(collLink, querySpec, feedOpts).toArray(callback), (err, documents) => {
+          if (err) {
+            return reject(err)
+          }
+          return resolve(documents)
+        })
       })
     })
+      .then((documents) => this._upgrade(mapper, documents, opts))
+      .then((documents) => [documents, { found: documents.length }])
   },
 
-  _sum (mapper, field, query, opts) {
-    if (!utils.isString(field)) {
-      throw new Error('field must be a string!')
-    }
+  _findPage (mapper, query, opts) {
     opts || (opts = {})
     query || (query = {})
 
-    const collectionId = mapper.collection || underscore(mapper.name)
-    opts.select = `${collectionId}.${mapper.idAttribute}, ${collectionId}.${field}`
-
-    return this._findAll(mapper, query, opts)
-      .then((result) => {
-        const sum = result[0].reduce((sum, cur) => sum + cur[field], 0)
-        return [sum, { found: result[0].length }]
-      })
-  },
+    if (query.skip || query.offset) {
+      throw new Error('findPage does not support query.skip, use opts.continuation instead!')
+    }
 
-  _update (mapper, id, props, opts) {
-    props || (props = {})
-    opts || (opts = {})
+    return this.resolveRelationFilters(mapper, query, opts).then((query) => {
+      const collLink = this.getCollectionLink(mapper, opts)
+      const feedOpts = this.getFeedOpts(mapper, query, opts)
+      const querySpec = this.getQuerySpec(mapper, query, opts)
 
-    const docLink = `${this.getCollectionLink(mapper, opts)}/docs/${id}`
-    const requestOpts = this.getOpt('requestOpts', opts)
+      if (opts.continuation) {
+        feedOpts.continuation = opts.continuation
+      }
+      if (opts.pageSize) {
+        feedOpts.maxItemCount = opts.pageSize
+      }
 
-    return this._find(mapper, id, opts)
-      .then((result) => {
-        const document = result[0]
-        if (!document) {
-          throw new Error('Not Found')
-        }
-        utils.deepMixIn(document, utils.plainCopy(props))
-        return new utils.Promise((resolve, reject) => {
-          this.client.replaceDocument(docLink, document, requestOpts, (err, updatedDocument) => {
-            if (err) {
-              return reject(err)
-            }
-            return resolve([updatedDocument, { updated: updatedDocument ? 1 : 0 }])
-          })
+      return new utils.Promise((resolve, reject) => {
+        this._retry(opts, (callback) => this.client.queryDocuments(collLink, querySpec, feedOpts).executeNext(callback), (err, documents, headers) => {
+          if (err) {
+            return reject(err)
+          }
+          documents || (documents = [])
+          const continuation = (headers && headers['x-ms-continuation']) || undefined
+          return resolve(this._upgrade(mapper, documents, opts).then((records) => {
+            return [{ records, continuation }, { found: records.length }]
+          }))
         })
       })
+    })
   },
 
-  _updateAll (mapper, props, query, opts) {
-    props || (props = {})
-    query || (query = {})
+  _fold (mapper, fn, field, query, opts) {
     opts || (opts = {})
+    query || (query = {})
 
-    props = utils.plainCopy(props)
+    const collectionId = mapper.collection || underscore(mapper.name)
+    const fold = FOLDS[fn]
+    const foldOpts = { select: `VALUE ${compilePath(collectionId, fn === 'COUNT' ? mapper.idAttribute : field)}` }
+    utils.fillIn(foldOpts, opts)
 
+    return this._reduce(mapper, query, foldOpts, fold.step, fold.initial())
+      .then(fold.result)
+  },
+
+  _getAttachmentRequestOpts (mapper, id, opts) {
     const requestOpts = this.getOpt('requestOpts', opts)
-    const collLink = this.getCollectionLink(mapper, opts)
+    if (!mapper.partitionKey) {
+      return utils.resolve(requestOpts)
+    }
+    const partitionKey = this._getPartitionKeyForId(mapper, id, opts)
+    if (partitionKey !== undefined) {
+      requestOpts.partitionKey = partitionKey
+      return utils.resolve(requestOpts)
+    }
+    // Look the document up across partitions to learn its partition key
+    return this._find(mapper, id, opts).then((result) => {
+      if (!result[0]) {
+        throw new Error('Not Found')
+      }
+      requestOpts.partitionKey = this.getPartitionKey(mapper, result[0])
+      return requestOpts
+    })
+  },
 
-    return this._findAll(mapper, query, opts)
-      .then((result) => {
-        const documents = result[0]
-        documents.forEach((document) => {
-          utils.deepMixIn(document, props)
-        })
-        return utils.Promise.all(documents.map((document) => {
-          return new utils.Promise((resolve, reject) => {
-            const docLink = `${collLink}/docs/${document.id}`
-            this.client.replaceDocument(docLink, document, requestOpts, (err, updatedDocument) => {
-              if (err) {
-                return reject(err)
-              }
-              return resolve(updatedDocument)
-            })
-          })
-        }))
-      })
-      .then((documents) => [documents, { updated: documents.length }])
+  _getPartitionKeyForId (mapper, id, opts) {
+    if (!mapper.partitionKey) {
+      return
+    }
+    if (opts.partitionKey !== undefined) {
+      return opts.partitionKey
+    }
+    if (mapper.partitionKey === '/id') {
+      return id
+    }
   },
 
-  _updateMany (mapper, records, opts) {
-    records || (records = [])
+  _groupBy (mapper, field, query, opts) {
     opts || (opts = {})
+    query || (query = {})
 
-    records = records.filter((record) => record && record.id !== undefined)
+    const fn = (opts.fn || 'count').toUpperCase()
+    const fold = FOLDS[fn]
+    if (!fold) {
+      throw new Error(`Aggregate ${fn} not supported!`)
+    }
+    if (fn !== 'COUNT' && !utils.isString(opts.valueField)) {
+      throw new Error('opts.valueField must be a string!')
+    }
 
-    return utils.Promise.all(records.map((record) => this._update(mapper, record.id, record, opts)))
-      .then((results) => [results.map((result) => result[0]), { updated: results.length }])
-  },
+    const collectionId = mapper.collection || underscore(mapper.name)
+    const groupOpts = { select: `${compilePath(collectionId, field)} AS groupKey` }
+    if (fn !== 'COUNT') {
+      groupOpts.select += `, ${compilePath(collectionId, opts.valueField)} AS groupValue`
+    }
+    utils.fillIn(groupOpts, opts)
 
-  _applyWhereFromObject (where) {
-    const fields = []
-    const ops = []
-    const predicates = []
-    utils.forOwn(where, (clause, field) => {
-      if (!utils.isObject(clause)) {
-        clause = {
-          '==': clause
+    const step = (groups, document) => {
+      const key = JSON.stringify(document.groupKey)
+      if (!groups.hasOwnProperty(key)) {
+        groups[key] = {
+          key: document.groupKey,
+          value: fold.initial()
         }
       }
-      utils.forOwn(clause, (expr, op) => {
-        fields.push(field)
-        ops.push(op)
-        predicates.push(expr)
-      })
-    })
-    return {
-      fields,
-      ops,
-      predicates
+      groups[key].value = fold.step(groups[key].value, document.groupValue)
+      return groups
     }
+
+    return this._reduce(mapper, query, groupOpts, step, {})
+      .then((groups) => {
+        const result = Object.keys(groups).map((key) => {
+          return {
+            key: groups[key].key,
+            value: fold.result(groups[key].value)
+          }
+        })
+        return [result, { found: result.length }]
+      })
   },
 
-  _applyWhereFromArray (where) {
-    const groups = []
-    where.forEach((_where, i) => {
-      if (utils.isString(_where)) {
-        return
+  _includeTriggers (mapper, operation, requestOpts, opts) {
+    const triggers = this.getTriggers(mapper)
+    ;['pre', 'post'].forEach((type) => {
+      const option = `${type}TriggerInclude`
+      if (!utils.isUndefined(opts[option])) {
+        requestOpts[option] = opts[option]
+      } else if (utils.isUndefined(requestOpts[option])) {
+        requestOpts[option] = triggers.filter((trigger) => {
+          return trigger.triggerType === type && (trigger.triggerOperation === 'all' || trigger.triggerOperation === operation)
+        }).map((trigger) => trigger.id)
       }
-      const prev = where[i - 1]
-      const parser = utils.isArray(_where) ? this._applyWhereFromArray : this._applyWhereFromObject
-      const group = parser.call(this, _where)
-      if (prev === 'or') {
-        group.isOr = true
+      if (!requestOpts[option] || !requestOpts[option].length) {
+        delete requestOpts[option]
       }
-      groups.push(group)
     })
-    groups.isArray = true
-    return groups
+    return requestOpts
   },
 
-  _testObjectGroup (sql, group, parameters, collectionId, opts) {
-    let i
-    const fields = group.fields
-    const ops = group.ops
-    const predicates = group.predicates
-    const len = ops.length
-    for (i = 0; i < len; i++) {
-      let op = ops[i]
-      const isOr = op.charAt(0) === '|'
-      op = isOr ? op.substr(1) : op
-      const predicateFn = this.getOperator(op, opts)
-      if (predicateFn) {
-        const subSql = predicateFn(fields[i], predicates[i], parameters, collectionId)
-        if (isOr) {
-          sql = sql ? `${sql} OR (${subSql})` : `(${subSql})`
-        } else {
-          sql = sql ? `${sql} AND (${subSql})` : `(${subSql})`
-        }
-      } else {
-        throw new Error(`Operator ${op} not supported!`)
-      }
+  _isSoftDelete (mapper, opts) {
+    if (!utils.isUndefined(opts.softDelete)) {
+      return !!opts.softDelete
     }
-    return sql
+    return !!(utils.isUndefined(mapper.softDelete) ? this.softDelete : mapper.softDelete)
   },
 
-  _testArrayGroup (sql, groups, parameters, collectionId, opts) {
-    let i
-    const len = groups.length
-    for (i = 0; i < len; i++) {
-      const group = groups[i]
-      let subQuery
-      if (group.isArray) {
-        subQuery = this._testArrayGroup(sql, group, parameters, collectionId, opts)
-      } else {
-        subQuery = this._testObjectGroup(null, group, parameters, collectionId, opts)
-      }
-      if (groups[i - 1]) {
-        if (group.isOr) {
-          sql += ` OR (${subQuery})`
-        } else {
-          sql += ` AND (${subQuery})`
+  _lifecycle (method, args, opts, prepare) {
+    let op
+    const upper = `${method.charAt(0).toUpperCase()}${method.substr(1)}`
+
+    // before lifecycle hook
+    op = opts.op = `before${upper}`
+    return utils.resolve(this[op](...args, opts))
+      .then((_data) => {
+        if (prepare) {
+          // Allow for re-assignment of the data argument from lifecycle hook
+          args = args.slice()
+          args[1] = prepare(_data === undefined ? args[1] : _data)
         }
-      } else {
-        sql = sql ? sql + ` AND (${subQuery})` : `(${subQuery})`
+        op = opts.op = method
+        this.dbg(op, ...args, opts)
+        return utils.resolve(this[`_${method}`](...args, opts))
+      })
+      .then((results) => {
+        let [data, result] = results
+        result || (result = {})
+        let response = new Response(data, result, op)
+        response = this.respond(response, opts)
+
+        // after lifecycle hook
+        op = opts.op = `after${upper}`
+        return utils.resolve(this[op](...args, opts, response))
+          .then((_response) => _response === undefined ? response : _response)
+      })
+  },
+
+  _map (items, opts, fn) {
+    const concurrency = +this.getOpt('concurrency', opts) || items.length
+    const batchSize = +this.getOpt('batchSize', opts) || items.length
+    const results = items.map(() => undefined)
+    const errors = []
+
+    let offset = 0
+    const next = () => {
+      if (offset >= items.length) {
+        return utils.resolve()
       }
+      const start = offset
+      offset += batchSize
+      return mapLimit(items.slice(start, offset), concurrency, (item, i) => fn(item, start + i))
+        .then((settled) => {
+          settled.results.forEach((result, i) => {
+            results[start + i] = result
+          })
+          settled.errors.forEach((failure) => {
+            const item = items[start + failure.index]
+            errors.push({ index: start + failure.index, id: item ? item.id : undefined, error: failure.error })
+          })
+          return next()
+        })
     }
-    return sql
+
+    return next().then(() => {
+      if (errors.length) {
+        throw new BulkWriteError(errors.sort((a, b) => a.index - b.index), results)
+      }
+      return results
+    })
   },
 
-  /**
-   * Generate the querySpec object for DocumentClient#queryDocuments.
-   *
-   * @name DocumentDBAdapter#getQuerySpec
-   * @method
-   * @param {object} mapper The mapper.
-   * @param {object} [query] Selection query.
-   * @param {object} [query.where] Filtering criteria.
-   * @param {string|Array} [query.orderBy] Sorting criteria.
-   * @param {string|Array} [query.sort] Same as `query.sort`.
-   * @param {number} [query.limit] Limit results.
-   * @param {number} [query.skip] Offset results.
-   * @param {number} [query.offset] Same as `query.skip`.
-   * @param {object} [opts] Configuration options.
-   * @param {object} [opts.operators] Override the default predicate functions
-   * for specified operators.
-   */
-  getQuerySpec (mapper, query, opts) {
-    query = utils.plainCopy(query || {})
-    opts || (opts = {})
-    opts.operators || (opts.operators = {})
-    query.where || (query.where = {})
-    query.orderBy || (query.orderBy = query.sort)
-    query.orderBy || (query.orderBy = [])
-    query.skip || (query.skip = query.offset)
+  _max (mapper, field, query, opts) {
+    return this._aggregate(mapper, 'MAX', field, query, opts)
+      .then((max) => [max, {}])
+  },
 
-    if (utils.isString(opts.fields)) {
-      opts.fields = [opts.fields]
-    }
+  _migrateDocument (mapper, document, opts) {
+    const field = this.getOpt('schemaVersionField', opts)
+    const migrations = this.getMigrations(mapper)
+    const version = +document[field] || 0
 
-    const collectionId = mapper.collection || underscore(mapper.name)
-    let select = '*'
-    let whereSql
-    const parameters = []
+    return migrations.filter((migration) => migration.version > version).reduce((promise, migration) => {
+      return promise.then((document) => utils.resolve(migration.up(document)).then((upgraded) => {
+        document = upgraded === undefined ? document : upgraded
+        document[field] = migration.version
+        return document
+      }))
+    }, utils.resolve(document))
+  },
 
-    if (utils.isString(opts.select)) {
-      select = opts.select
-    } else if (utils.isArray(opts.fields)) {
-      select = opts.fields.map((field) => `${collectionId}.${field}`).join(',')
-    }
+  _min (mapper, field, query, opts) {
+    return this._aggregate(mapper, 'MIN', field, query, opts)
+      .then((min) => [min, {}])
+  },
 
-    let sql = `${select} FROM ${collectionId}`
+  _purge (mapper, query, opts) {
+    const purgeOpts = { softDelete: false, withDeleted: true }
+    utils.fillIn(purgeOpts, opts)
+    return this._destroyAll(mapper, query, purgeOpts)
+  },
 
-    // Transform non-keyword properties to "where" clause configuration
-    utils.forOwn(query, (config, keyword) => {
-      if (reserved.indexOf(keyword) === -1 && utils.isObject(query.where)) {
-        if (utils.isObject(config)) {
-          query.where[keyword] = config
-        } else {
-          query.where[keyword] = {
-            '==': config
-          }
+  _readChanges (mapper, checkpoint, opts) {
+    if (checkpoint.mode === 'poll') {
+      // Documents written in the same second as the checkpoint may not have
+      // been seen yet, so they are read again and filtered by id
+      const query = { where: { _ts: { '>=': checkpoint.ts || 0 } }, orderBy: [['_ts', 'ASC']] }
+      return this.resolveRelationFilters(mapper, query, opts).then((query) => {
+        const collLink = this.getCollectionLink(mapper, opts)
+        const feedOpts = this.getFeedOpts(mapper, query, opts)
+        const querySpec = this.getQuerySpec(mapper, query, opts)
+        if (opts.pageSize) {
+          feedOpts.maxItemCount = opts.pageSize
         }
-        delete query[keyword]
-      }
-    })
+        const iterator = this.client.queryDocuments(collLink, querySpec, feedOpts)
+        const cursor = paginate(iterator, 0, 0, (fn, callback) => this._retry(opts, fn, callback))
 
-    // Filter
-    let groups
-
-    if (utils.isObject(query.where) && Object.keys(query.where).length !== 0) {
-      groups = this._applyWhereFromArray([query.where])
-    } else if (utils.isArray(query.where)) {
-      groups = this._applyWhereFromArray(query.where)
+        // Only the first page with unseen documents is returned, and the
+        // checkpoint advances past it, so a poll never holds more than a page
+        const since = checkpoint.ts || 0
+        const seen = since ? checkpoint.ids || [] : []
+        const next = () => cursor.next().then((page) => {
+          if (!page) {
+            return [[], checkpoint]
+          }
+          const documents = page.filter((document) => seen.indexOf(document.id) === -1)
+          if (!documents.length) {
+            return next()
+          }
+          const ts = documents[documents.length - 1]._ts
+          const ids = documents.filter((document) => document._ts === ts).map((document) => document.id)
+          return this._upgrade(mapper, documents, opts).then((documents) => {
+            return [documents, { mode: 'poll', ts, ids: ts === since ? seen.concat(ids) : ids }]
+          })
+        })
+        return next()
+      })
     }
 
-    if (groups) {
-      whereSql = this._testArrayGroup(null, groups, parameters, collectionId, opts)
+    const feedOpts = this.getOpt('feedOpts', opts)
+    feedOpts.a_im = 'Incremental feed'
+    if (checkpoint.etag) {
+      feedOpts.accessCondition = { type: 'IfNoneMatch', condition: checkpoint.etag }
     }
+    return new utils.Promise((resolve, reject) => {
+      this._retry(opts, (callback) => this.client.readDocuments(this.getCollectionLink(mapper, opts), feedOpts).executeNext(callback), (err, documents, headers) => {
+        if (err) {
+          // Fall back to polling if the change feed isn't available
+          if (err.code === 400 && !checkpoint.etag) {
+            return resolve(this._readChanges(mapper, { mode: 'poll' }, opts))
+          }
+          return reject(err)
+        }
+        const etag = (headers && headers.etag) || checkpoint.etag
+        return resolve([documents || [], { mode: 'feed', etag }])
+      })
+    })
+  },
 
-    if (whereSql) {
-      sql = `${sql} WHERE ${whereSql}`
-    }
+  _readMeta (mapper, id, opts) {
+    const metaMapper = { name: this.metaCollection, collection: this.metaCollection }
+    const metaOpts = { db: this.getDbId(mapper, opts), collection: this.metaCollection, retry: opts.retry }
 
-    // Sort
-    let orderBySql = ''
-    if (query.orderBy) {
-      if (utils.isString(query.orderBy)) {
-        query.orderBy = [
-          [query.orderBy, 'asc']
-        ]
-      }
-      for (var i = 0; i < query.orderBy.length; i++) {
-        if (utils.isString(query.orderBy[i])) {
-          query.orderBy[i] = [query.orderBy[i], 'asc']
+    return this.waitForCollection(metaMapper, metaOpts)
+      .then(() => this._find(metaMapper, id, metaOpts))
+      .then((result) => result[0])
+  },
+
+  _reduce (mapper, query, opts, step, initial) {
+    return this.resolveRelationFilters(mapper, query, opts).then((query) => {
+      const collLink = this.getCollectionLink(mapper, opts)
+      const feedOpts = this.getFeedOpts(mapper, query, opts)
+      const querySpec = this.getQuerySpec(mapper, query, opts)
+      const iterator = this.client.queryDocuments(collLink, querySpec, feedOpts)
+      const cursor = paginate(iterator, +(query.skip || query.offset) || 0, +query.limit || 0, (fn, callback) => this._retry(opts, fn, callback))
+
+      let acc = initial
+      const next = () => cursor.next().then((page) => {
+        if (!page) {
+          return acc
         }
-        const subOrderBySql = (query.orderBy[i][1] || '').toUpperCase() === 'DESC' ? `${collectionId}.${query.orderBy[i][0]} DESC` : `${collectionId}.${query.orderBy[i][0]}`
-        if (orderBySql) {
-          orderBySql = `${orderBySql}, ${subOrderBySql}`
-        } else {
-          orderBySql = subOrderBySql
+        acc = page.reduce(step, acc)
+        return next()
+      })
+      return next()
+    })
+  },
+
+  _registerScripts (collLink, type, scripts, opts) {
+    if (!scripts.length) {
+      return utils.resolve([])
+    }
+    return new utils.Promise((resolve, reject) => {
+      this._retry(opts, (callback) => this.client[`read${type}s`](collLink).toArray(callback), (err, existing) => {
+        if (err) {
+          return reject(err)
         }
+        return resolve(existing)
+      })
+    }).then((existing) => utils.Promise.all(scripts.map((script) => {
+      const current = existing.filter((_script) => _script.id === script.id)[0]
+      if (current && isSameScript(current, script)) {
+        return current
       }
-      if (orderBySql) {
-        orderBySql = `ORDER BY ${orderBySql}`
+      return new utils.Promise((resolve, reject) => {
+        const write = (callback) => {
+          if (current) {
+            return this.client[`replace${type}`](`${collLink}/${SCRIPT_LINKS[type]}/${script.id}`, script, callback)
+          }
+          return this.client[`create${type}`](collLink, script, callback)
+        }
+        this._retry(opts, write, (err, result) => {
+          // Another process may have registered it in the meantime
+          if (err && err.code !== 409) {
+            return reject(err)
+          }
+          return resolve(result)
+        })
+      })
+    })))
+  },
+
+  _resolveRelationFilter (mapper, def, field, clause, opts) {
+    const relatedMapper = def.getRelation()
+    const relatedCollectionId = relatedMapper.collection || underscore(relatedMapper.name)
+    let localKey = def.foreignKey
+    let relatedKey = relatedMapper.idAttribute
+    if (def.type === 'hasOne') {
+      localKey = mapper.idAttribute
+      relatedKey = def.foreignKey
+    }
+
+    const relatedOpts = {
+      db: this.getDbId(relatedMapper, opts),
+      collection: this.getCollectionId(relatedMapper, opts),
+      operators: opts.operators,
+      retry: opts.retry,
+      select: `VALUE ${compilePath(relatedCollectionId, relatedKey)}`
+    }
+    const seen = {}
+    const collect = (keys, key) => {
+      const hash = JSON.stringify(key)
+      if (isValue(key) && !seen[hash]) {
+        seen[hash] = true
+        keys.push(key)
       }
+      return keys
     }
 
-    // Offset
-    // if (query.skip) {
-    //   sql += ` SKIP ${+query.skip}`
-    // }
+    return this.waitForCollection(relatedMapper, relatedOpts)
+      .then(() => this.resolveRelationFilters(relatedMapper, { where: { [field]: clause } }, relatedOpts))
+      .then((relatedQuery) => this._reduce(relatedMapper, relatedQuery, relatedOpts, collect, []))
+      .then((keys) => {
+        const size = +this.getOpt('relationChunkSize', opts) || keys.length
+        if (keys.length <= size) {
+          return { [localKey]: { 'in': keys } }
+        }
+        const where = []
+        for (let i = 0; i < keys.length; i += size) {
+          if (i) {
+            where.push('or')
+          }
+          where.push({ [localKey]: { 'in': keys.slice(i, i + size) } })
+        }
+        return where
+      })
+  },
 
-    // Limit
-    if (query.limit) {
-      sql = `TOP ${+query.limit} ${sql}`
+  _replace (mapper, document, opts) {
+    const docLink = this.getDocumentLink(mapper, document.id, opts)
+    const requestOpts = this._includeTriggers(mapper, 'replace', this.getOpt('requestOpts', opts), opts)
+
+    if (mapper.partitionKey) {
+      requestOpts.partitionKey = this.getPartitionKey(mapper, document)
     }
 
-    sql = `SELECT ${sql}` + (orderBySql ? ` ${orderBySql}` : '')
-    return {
-      query: sql,
-      parameters
+    if (this.getOpt('optimistic', opts)) {
+      requestOpts.accessCondition = { type: 'IfMatch', condition: document._etag }
     }
-  },
 
-  getDbLink (opts) {
-    return `dbs/${opts.db === undefined ? this.documentOpts.db : opts.db}`
+    withTtl(document, opts)
+
+    return new utils.Promise((resolve, reject) => {
+      this._retry(opts, (callback) => this.client.replaceDocument(docLink, document, requestOpts, callback), (err, updatedDocument) => {
+        if (err) {
+          if (err.code === 412 && requestOpts.accessCondition) {
+            return reject(new ConflictError(document.id))
+          }
+          return reject(err)
+        }
+        return resolve(updatedDocument)
+      })
+    })
   },
 
-  getCollectionLink (mapper, opts) {
-    return `${this.getDbLink(opts)}/colls/${mapper.collection || underscore(mapper.name)}`
+  _restore (mapper, id, opts) {
+    const field = this.getOpt('deletedAtField', opts)
+    const findOpts = { withDeleted: true }
+    utils.fillIn(findOpts, opts)
+
+    return this._find(mapper, id, findOpts).then((result) => {
+      const document = result[0]
+      if (!document) {
+        throw new Error('Not Found')
+      }
+      if (utils.isUndefined(document[field])) {
+        return [document, { restored: 0 }]
+      }
+      delete document[field]
+      return this._replace(mapper, document, opts).then((restored) => [restored, { restored: 1 }])
+    })
   },
 
-  waitForDb (opts) {
+  /**
+   * Call `fn` with a node-style callback, and call it again according to the
+   * {@link DocumentDBAdapter#retry|retry policy} for as long as it fails with
+   * a transient error. `callback` receives the results of the last attempt.
+   *
+   * @ignore
+   */
+  _retry (opts, fn, callback) {
     opts || (opts = {})
-    const dbId = utils.isUndefined(opts.db) ? this.documentOpts.db : opts.db
-    if (!this.databases[dbId]) {
-      this.databases[dbId] = new utils.Promise((resolve, reject) => {
-        this.client.readDatabases().toArray((err, dbs) => {
-          if (err) {
-            return reject(err)
+
+    let policy = utils.isUndefined(opts.retry) ? this.retry : opts.retry
+    policy = policy === false ? { maxAttempts: 1 } : utils.plainCopy(policy || {})
+    if (opts.retry && this.retry) {
+      utils.fillIn(policy, this.retry)
+    }
+    utils.fillIn(policy, RETRY_DEFAULTS)
+
+    let attempt = 0
+    let done = false
+    const finish = (err, ...results) => {
+      if (!done) {
+        done = true
+        callback(err, ...results)
+      }
+    }
+    const run = () => {
+      attempt++
+      // Retries run outside of the caller's stack, so errors thrown by `fn` or
+      // `onRetry` are passed to `callback` instead
+      try {
+        fn((err, ...results) => {
+          if (!err || attempt >= policy.maxAttempts || policy.statusCodes.indexOf(err.code) === -1) {
+            return finish(err, ...results)
           }
-          let existing
-          dbs.forEach((db) => {
-            if (dbId === db.id) {
-              existing = db
-              return false
+          let delay = err.retryAfterInMilliseconds
+          if (!utils.isNumber(delay) && err.headers) {
+            delay = parseInt(err.headers['x-ms-retry-after-ms'], 10)
+          }
+          if (!utils.isNumber(delay) || isNaN(delay)) {
+            // Exponential backoff with jitter, so that concurrent requests don't
+            // all retry at the same time
+            const backoff = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt - 1))
+            delay = Math.round(backoff / 2 + Math.random() * backoff / 2)
+          }
+          if (utils.isFunction(policy.onRetry)) {
+            try {
+              policy.onRetry(err, attempt, delay)
+            } catch (err) {
+              return finish(err)
             }
-          })
-          if (!existing) {
-            return this.client.createDatabase({ id: dbId }, (err, db) => {
-              if (err) {
-                return reject(err)
-              }
-              return resolve(db)
-            })
           }
-          return resolve(existing)
+          setTimeout(run, delay)
         })
+      } catch (err) {
+        finish(err)
+      }
+    }
+    run()
+  },
+
+  _stamp (mapper, document, opts) {
+    const migrations = this.getMigrations(mapper)
+    if (migrations.length) {
+      document[this.getOpt('schemaVersionField', opts)] = migrations[migrations.length - 1].version
+    }
+    const discriminator = this.getDiscriminator(mapper)
+    if (discriminator) {
+      document[discriminator.field] = discriminator.value
+    }
+    return document
+  },
+
+  _sum (mapper, field, query, opts) {
+    if (!utils.isString(field)) {
+      throw new Error('field must be a string!')
+    }
+    if (!this.getOpt('raw', opts)) {
+      return this._aggregate(mapper, 'SUM', field, query, opts).then((sum) => [sum, {}])
+    }
+    // DocumentDB only computes a single aggregate per query, so the records
+    // are counted with a second query, and only for detailed responses
+    return utils.Promise.all([
+      this._aggregate(mapper, 'SUM', field, query, opts),
+      this._aggregate(mapper, 'COUNT', null, query, opts)
+    ]).then((results) => [results[0], { found: results[1] }])
+  },
+
+  _update (mapper, id, props, opts) {
+    props || (props = {})
+    opts || (opts = {})
+
+    const optimistic = this.getOpt('optimistic', opts)
+    const etag = optimistic ? opts.etag : undefined
+    // Writes against the caller's etag can't be retried, as only the caller
+    // can decide how to merge with the newer version of the document
+    let retries = optimistic && !etag ? +this.getOpt('optimisticRetries', opts) || 0 : 0
+
+    const attempt = () => this._find(mapper, id, opts)
+      .then((result) => {
+        const document = result[0]
+        if (!document) {
+          throw new Error('Not Found')
+        }
+        if (etag && document._etag !== etag) {
+          throw new ConflictError(id)
+        }
+        utils.deepMixIn(document, utils.plainCopy(props))
+        return this._replace(mapper, document, opts)
+      })
+      .catch((err) => {
+        if (err instanceof ConflictError && retries-- > 0) {
+          return attempt()
+        }
+        throw err
+      })
+
+    return attempt()
+      .then((updatedDocument) => [updatedDocument, { updated: updatedDocument ? 1 : 0 }])
+  },
+
+  _updateAll (mapper, props, query, opts) {
+    props || (props = {})
+    query || (query = {})
+    opts || (opts = {})
+
+    props = utils.plainCopy(props)
+
+    if (this.getOpt('atomic', opts)) {
+      return this._findAll(mapper, query, opts)
+        .then((result) => this._bulk(mapper, result[0].map((document) => {
+          const etag = document._etag
+          utils.deepMixIn(document, props)
+          return { type: 'replace', etag, document }
+        }), opts))
+        .then((documents) => [documents, { updated: documents.length }])
+    }
+
+    const retries = +this.getOpt('optimisticRetries', opts) || 0
+
+    // Documents that changed after they were selected are selected again, so
+    // that they are only updated if they still match the query
+    const reselect = (id) => {
+      const byId = utils.plainCopy(query)
+      ;['limit', 'offset', 'orderBy', 'skip', 'sort'].forEach((key) => {
+        delete byId[key]
       })
+      byId.where = query.where ? [query.where, { id: { '==': id } }] : { id: { '==': id } }
+      return this._findAll(mapper, byId, opts).then((result) => result[0][0])
     }
-    return this.databases[dbId]
+    const updateFn = (document, attempt) => {
+      utils.deepMixIn(document, props)
+      return this._replace(mapper, document, opts).catch((err) => {
+        if (!(err instanceof ConflictError) || attempt >= retries) {
+          throw err
+        }
+        return reselect(document.id).then((document) => document && updateFn(document, attempt + 1))
+      })
+    }
+
+    return this._findAll(mapper, query, opts)
+      .then((result) => this._map(result[0], opts, (document) => updateFn(document, 0)))
+      .then((documents) => {
+        documents = documents.filter((document) => document)
+        return [documents, { updated: documents.length }]
+      })
   },
 
-  waitForCollection (mapper, opts) {
+  _updateMany (mapper, records, opts) {
+    records || (records = [])
     opts || (opts = {})
-    const collectionId = utils.isString(mapper) ? mapper : (mapper.collection || underscore(mapper.name))
-    let dbId = utils.isUndefined(opts.db) ? this.documentOpts.db : opts.db
-    return this.waitForDb(opts).then(() => {
-      this.collections[dbId] = this.collections[dbId] || {}
-      if (!this.collections[dbId][collectionId]) {
-        this.collections[dbId][collectionId] = new utils.Promise((resolve, reject) => {
-          this.client.readCollections(`dbs/${dbId}`).toArray((err, collections) => {
-            if (err) {
-              return reject(err)
+
+    records = records.filter((record) => record && record.id !== undefined)
+
+    if (this.getOpt('atomic', opts)) {
+      const optimistic = this.getOpt('optimistic', opts)
+      const query = { where: { id: { 'in': records.map((record) => record.id) } } }
+      return this._findAll(mapper, query, opts)
+        .then((result) => {
+          const documents = {}
+          result[0].forEach((document) => {
+            documents[document.id] = document
+          })
+          return this._bulk(mapper, records.map((record) => {
+            const document = documents[record.id]
+            if (!document) {
+              throw new Error('Not Found')
             }
-            let existing
-            collections.forEach((collection) => {
-              if (collectionId === collection.id) {
-                existing = collection
-                return false
-              }
-            })
-            if (!existing) {
-              return this.client.createCollection(`dbs/${dbId}`, { id: collectionId }, (err, collection) => {
-                if (err) {
-                  return reject(err)
-                }
-                return resolve(collection)
-              })
+            const etag = document._etag
+            if (optimistic && record._etag && record._etag !== etag) {
+              throw new ConflictError(record.id)
             }
-            return resolve(existing)
-          })
+            utils.deepMixIn(document, utils.plainCopy(record))
+            return { type: 'replace', etag, document }
+          }), opts)
         })
+        .then((documents) => [documents, { updated: documents.length }])
+    }
+
+    return this._map(records, opts, (record) => {
+      const updateOpts = { etag: record._etag }
+      utils.fillIn(updateOpts, opts)
+      return this._update(mapper, record.id, record, updateOpts).then((result) => result[0])
+    })
+      .then((results) => [results, { updated: results.length }])
+  },
+
+  _upgrade (mapper, documents, opts) {
+    const field = this.getOpt('schemaVersionField', opts)
+    const migrations = this.getMigrations(mapper)
+    if (!migrations.length || !this.getOpt('upgradeOnRead', opts) || UPGRADE_OPS.indexOf(opts.op) === -1 || opts.fields || opts.select) {
+      return utils.resolve(documents)
+    }
+    const version = migrations[migrations.length - 1].version
+    // Only save the upgraded document if it hasn't changed since it was read
+    const saveOpts = {
+      db: this.getDbId(mapper, opts),
+      collection: this.getCollectionId(mapper, opts),
+      requestOpts: opts.requestOpts,
+      retry: opts.retry,
+      optimistic: true
+    }
+
+    return this._map(documents, opts, (document) => {
+      if (!document || (+document[field] || 0) >= version) {
+        return document
       }
-      return this.collections[dbId][collectionId]
+      return this._migrateDocument(mapper, document, opts)
+        .then((upgraded) => this._replace(mapper, upgraded, saveOpts).catch((err) => {
+          if (err instanceof ConflictError) {
+            return upgraded
+          }
+          throw err
+        }))
     })
   },
 
-  /**
-   * Return the number of records that match the selection query.
-   *
-   * @name DocumentDBAdapter#count
+  _upsert (mapper, props, opts) {
+    props || (props = {})
+    opts || (opts = {})
+
+    const requestOpts = this._includeTriggers(mapper, 'upsert', this.getOpt('requestOpts', opts), opts)
+    if (mapper.partitionKey) {
+      requestOpts.partitionKey = this.getPartitionKey(mapper, props)
+    }
+    if (this.getOpt('optimistic', opts) && props._etag) {
+      requestOpts.accessCondition = { type: 'IfMatch', condition: props._etag }
+    }
+
+    return new utils.Promise((resolve, reject) => {
+      this._retry(opts, (callback) => this.client.upsertDocument(
+        this.getCollectionLink(mapper, opts),
+        withTtl(this._stamp(mapper, utils.plainCopy(props), opts), opts),
+        requestOpts,
+        callback
+      ), (err, document) => {
+        if (err) {
+          if (err.code === 412 && requestOpts.accessCondition) {
+            return reject(new ConflictError(props.id))
+          }
+          return reject(err)
+        }
+        // DocumentClient doesn't expose the status code that tells whether
+        // the document was inserted or replaced
+        return resolve([document, { upserted: 1 }])
+      })
+    })
+  },
+
+  _upsertMany (mapper, records, opts) {
+    records || (records = [])
+    opts || (opts = {})
+
+    return this._map(records, opts, (record) => this._upsert(mapper, record, opts).then((result) => result[0]))
+      .then((results) => [results, { upserted: results.length }])
+  },
+
+  _writeMeta (mapper, document, opts) {
+    const metaMapper = { name: this.metaCollection, collection: this.metaCollection }
+    const metaOpts = { db: this.getDbId(mapper, opts), collection: this.metaCollection, retry: opts.retry }
+
+    return this.waitForCollection(metaMapper, metaOpts)
+      .then(() => this._upsert(metaMapper, document, metaOpts))
+      .then((result) => result[0])
+  },
+
+  _applyWhereFromObject (where) {
+    const fields = []
+    const ops = []
+    const predicates = []
+    utils.forOwn(where, (clause, field) => {
+      if (!utils.isObject(clause)) {
+        clause = {
+          '==': clause
+        }
+      }
+      utils.forOwn(clause, (expr, op) => {
+        fields.push(field)
+        ops.push(op)
+        predicates.push(expr)
+      })
+    })
+    return {
+      fields,
+      ops,
+      predicates
+    }
+  },
+
+  _applyWhereFromArray (where) {
+    const groups = []
+    where.forEach((_where, i) => {
+      if (utils.isString(_where)) {
+        return
+      }
+      const prev = where[i - 1]
+      const parser = utils.isArray(_where) ? this._applyWhereFromArray : this._applyWhereFromObject
+      const group = parser.call(this, _where)
+      if (prev === 'or') {
+        group.isOr = true
+      }
+      groups.push(group)
+    })
+    groups.isArray = true
+    return groups
+  },
+
+  _testObjectGroup (sql, group, parameters, collectionId, opts) {
+    let i
+    const fields = group.fields
+    const ops = group.ops
+    const predicates = group.predicates
+    const len = ops.length
+    for (i = 0; i < len; i++) {
+      let op = ops[i]
+      const isOr = op.charAt(0) === '|'
+      op = isOr ? op.substr(1) : op
+      const predicateFn = this.getOperator(op, opts)
+      if (predicateFn) {
+        const subSql = predicateFn(fields[i], predicates[i], parameters, collectionId)
+        if (isOr) {
+          sql = sql ? `${sql} OR (${subSql})` : `(${subSql})`
+        } else {
+          sql = sql ? `${sql} AND (${subSql})` : `(${subSql})`
+        }
+      } else {
+        throw new Error(`Operator ${op} not supported!`)
+      }
+    }
+    return sql
+  },
+
+  _testArrayGroup (sql, groups, parameters, collectionId, opts) {
+    let i
+    const len = groups.length
+    for (i = 0; i < len; i++) {
+      const group = groups[i]
+      let subQuery
+      if (group.isArray) {
+        subQuery = this._testArrayGroup(null, group, parameters, collectionId, opts)
+      } else {
+        subQuery = this._testObjectGroup(null, group, parameters, collectionId, opts)
+      }
+      if (groups[i - 1]) {
+        if (group.isOr) {
+          sql += ` OR (${subQuery})`
+        } else {
+          sql += ` AND (${subQuery})`
+        }
+      } else {
+        sql = sql ? sql + ` AND (${subQuery})` : `(${subQuery})`
+      }
+    }
+    return sql
+  },
+
+  /**
+   * Generate the querySpec object for DocumentClient#queryDocuments.
+   *
+   * Field names in `query.where`, `query.orderBy` and `opts.fields` may be
+   * paths into nested objects and arrays, e.g. `addresses[0].city` or
+   * `meta["first-name"]`. Names that aren't plain identifiers are quoted, and
+   * malformed paths throw an error.
+   *
+   * @name DocumentDBAdapter#getQuerySpec
+   * @method
+   * @param {object} mapper The mapper.
+   * @param {object} [query] Selection query.
+   * @param {object} [query.where] Filtering criteria.
+   * @param {string|Array} [query.orderBy] Sorting criteria.
+   * @param {string|Array} [query.sort] Same as `query.sort`.
+   * @param {number} [query.limit] Limit results.
+   * @param {number} [query.skip] Offset results.
+   * @param {number} [query.offset] Same as `query.skip`.
+   * @param {object} [opts] Configuration options.
+   * @param {object} [opts.aggregate] Select an aggregate of the matching
+   * documents instead of the documents themselves, e.g. `{ fn: 'COUNT' }` or
+   * `{ fn: 'SUM', field: 'age' }`. Sorting is ignored, and `query.limit` and
+   * `query.skip` are not supported.
+   * @param {string[]} [opts.fields] Choose which fields should be returned from
+   * the SQL query, e.g. ["id", "name"].
+   * @param {object} [opts.operators] Override the default predicate functions
+   * for specified operators.
+   * @param {string} [opts.select] Override the SELECT string in the resulting
+   * SQL query, e.g. "users.id,users.name".
+   */
+  getQuerySpec (mapper, query, opts) {
+    query = utils.plainCopy(query || {})
+    opts || (opts = {})
+    opts.operators || (opts.operators = {})
+    query.where || (query.where = {})
+    query.orderBy || (query.orderBy = query.sort)
+    query.orderBy || (query.orderBy = [])
+    query.skip || (query.skip = query.offset)
+
+    if (utils.isString(opts.fields)) {
+      opts.fields = [opts.fields]
+    }
+
+    // Documents are aliased by the logical collection id, wherever they live
+    const collectionId = mapper.collection || underscore(mapper.name)
+    let select = '*'
+    let whereSql
+    const parameters = []
+
+    if (utils.isString(opts.select)) {
+      select = opts.select
+    } else if (utils.isArray(opts.fields)) {
+      select = opts.fields.map((field) => compilePath(collectionId, field)).join(',')
+    }
+
+    if (opts.aggregate) {
+      const fn = opts.aggregate.fn
+      if (AGGREGATES.indexOf(fn) === -1) {
+        throw new Error(`Aggregate ${fn} not supported!`)
+      }
+      if (query.limit || query.skip) {
+        throw new Error('Aggregate queries do not support query.limit or query.skip!')
+      }
+      select = `VALUE ${fn}(${fn === 'COUNT' ? 1 : compilePath(collectionId, opts.aggregate.field)})`
+    }
+
+    let sql = `${select} FROM ${collectionId}`
+
+    // Transform non-keyword properties to "where" clause configuration
+    utils.forOwn(query, (config, keyword) => {
+      if (reserved.indexOf(keyword) === -1 && utils.isObject(query.where)) {
+        if (utils.isObject(config)) {
+          query.where[keyword] = config
+        } else {
+          query.where[keyword] = {
+            '==': config
+          }
+        }
+        delete query[keyword]
+      }
+    })
+
+    // Filter
+    let groups
+
+    if (utils.isObject(query.where) && Object.keys(query.where).length !== 0) {
+      groups = this._applyWhereFromArray([query.where])
+    } else if (utils.isArray(query.where)) {
+      groups = this._applyWhereFromArray(query.where)
+    }
+
+    if (groups) {
+      whereSql = this._testArrayGroup(null, groups, parameters, collectionId, opts)
+    }
+
+    // Only select the documents of this mapper from a shared collection
+    const discriminator = this.getDiscriminator(mapper)
+    if (discriminator) {
+      const typeSql = `${compilePath(collectionId, discriminator.field)} = ${addParameter(discriminator.field, discriminator.value, parameters)}`
+      whereSql = whereSql ? `(${whereSql}) AND ${typeSql}` : typeSql
+    }
+
+    if (!opts.withDeleted && this._isSoftDelete(mapper, opts)) {
+      const deletedSql = `NOT IS_DEFINED(${compilePath(collectionId, this.getOpt('deletedAtField', opts))})`
+      whereSql = whereSql ? `(${whereSql}) AND ${deletedSql}` : deletedSql
+    }
+
+    if (whereSql) {
+      sql = `${sql} WHERE ${whereSql}`
+    }
+
+    // Sort
+    let orderBySql = ''
+    if (query.orderBy && !opts.aggregate) {
+      if (utils.isString(query.orderBy)) {
+        query.orderBy = [
+          [query.orderBy, 'asc']
+        ]
+      }
+      for (var i = 0; i < query.orderBy.length; i++) {
+        if (utils.isString(query.orderBy[i])) {
+          query.orderBy[i] = [query.orderBy[i], 'asc']
+        }
+        const path = compilePath(collectionId, query.orderBy[i][0])
+        const subOrderBySql = (query.orderBy[i][1] || '').toUpperCase() === 'DESC' ? `${path} DESC` : path
+        if (orderBySql) {
+          orderBySql = `${orderBySql}, ${subOrderBySql}`
+        } else {
+          orderBySql = subOrderBySql
+        }
+      }
+      if (orderBySql) {
+        orderBySql = `ORDER BY ${orderBySql}`
+      }
+    }
+
+    // Offset
+    // DocumentDB has no SKIP clause, so TOP is widened to cover the skipped
+    // documents, which DocumentDBAdapter#_findAll then discards.
+    const skip = +query.skip || 0
+
+    // Limit
+    if (query.limit) {
+      sql = `TOP ${+query.limit + skip} ${sql}`
+    }
+
+    sql = `SELECT ${sql}` + (orderBySql ? ` ${orderBySql}` : '')
+    return {
+      query: sql,
+      parameters
+    }
+  },
+
+  /**
+   * Resolve the options to pass to DocumentClient#queryDocuments for the
+   * given selection query.
+   *
+   * If the mapper has a {@link DocumentDBAdapter#getPartitionKey|partition key},
+   * the query is scoped to a single partition when `opts.partitionKey` is
+   * provided or the `where` clause compares the partition key for equality.
+   * Otherwise `enableCrossPartitionQuery` is set.
+   *
+   * @name DocumentDBAdapter#getFeedOpts
+   * @method
+   * @param {object} mapper The mapper.
+   * @param {object} [query] Selection query.
+   * @param {object} [opts] Configuration options.
+   * @param {object} [opts.feedOpts] Override {@link DocumentDBAdapter#feedOpts}.
+   * @param {*} [opts.partitionKey] Partition key value to scope the query to.
+   * @return {object}
+   */
+  getFeedOpts (mapper, query, opts) {
+    query || (query = {})
+    opts || (opts = {})
+
+    const feedOpts = this.getOpt('feedOpts', opts)
+    if (!mapper.partitionKey || feedOpts.partitionKey !== undefined || feedOpts.enableCrossPartitionQuery) {
+      return feedOpts
+    }
+
+    let partitionKey = opts.partitionKey
+    if (partitionKey === undefined) {
+      const field = mapper.partitionKey.split('/').filter((part) => part).join('.')
+      let clause = utils.isObject(query.where) ? query.where[field] : undefined
+      if (clause === undefined && reserved.indexOf(field) === -1) {
+        clause = query[field]
+      }
+      if (!utils.isObject(clause)) {
+        partitionKey = clause
+      } else {
+        ['==', '===', '='].forEach((op) => {
+          if (partitionKey === undefined) {
+            partitionKey = clause[op]
+          }
+        })
+      }
+    }
+
+    if (partitionKey === undefined || utils.isArray(query.where)) {
+      feedOpts.enableCrossPartitionQuery = true
+    } else {
+      feedOpts.partitionKey = partitionKey
+    }
+    return feedOpts
+  },
+
+  /**
+   * Return the DocumentDB indexing policy declared by the mapper, or
+   * `undefined` if the mapper doesn't declare one.
+   *
+   * Set `indexingPolicy` on a Mapper to control how its collection is
+   * indexed. The policy is applied when {@link DocumentDBAdapter#waitForCollection}
+   * creates the collection, and to existing collections by
+   * {@link DocumentDBAdapter#ensureIndexes}. It may be a complete DocumentDB
+   * [indexing policy][policy], or a shorthand with the following properties:
+   *
+   * - `range` - Paths that need range indexes, i.e. that are used with
+   * `orderBy` or with the `>`, `>=`, `<` and `<=` operators.
+   * - `hash` - Paths that only need equality lookups.
+   * - `excluded` - Paths that should not be indexed at all.
+   * - `mode` - Either `"consistent"` (the default) or `"lazy"`.
+   *
+   * Paths may be given as field names, e.g. `"address.city"`, or as index
+   * paths, e.g. `"/address/city/?"`. Unless the root path `"/*"` is listed,
+   * every other path gets the default hash index.
+   *
+   * [policy]: https://azure.microsoft.com/documentation/articles/documentdb-indexing-policies/
+   *
+   * @example
+   * store.defineMapper('user', {
+   *   indexingPolicy: {
+   *     range: ['age', 'createdAt'],
+   *     hash: ['email'],
+   *     excluded: ['/bio/*'],
+   *     mode: 'lazy'
+   *   }
+   * })
+   *
+   * @name DocumentDBAdapter#getIndexingPolicy
+   * @method
+   * @param {object} mapper The mapper.
+   * @return {object}
+   */
+  getIndexingPolicy (mapper) {
+    const policy = mapper.indexingPolicy
+    if (!utils.isObject(policy)) {
+      return
+    }
+    if (policy.includedPaths || policy.excludedPaths || policy.indexingMode) {
+      return utils.plainCopy(policy)
+    }
+
+    const includedPaths = []
+    const excludedPaths = (policy.excluded || []).map((path) => {
+      return { path: toIndexPath(path) }
+    })
+    ;(policy.range || []).forEach((path) => {
+      includedPaths.push({ path: toIndexPath(path), indexes: utils.plainCopy(RANGE_INDEXES) })
+    })
+    ;(policy.hash || []).forEach((path) => {
+      includedPaths.push({ path: toIndexPath(path), indexes: utils.plainCopy(HASH_INDEXES) })
+    })
+    const hasRoot = includedPaths.concat(excludedPaths).some((included) => included.path === '/*')
+    if (!hasRoot) {
+      includedPaths.push({ path: '/*', indexes: utils.plainCopy(HASH_INDEXES) })
+    }
+
+    return {
+      automatic: true,
+      indexingMode: policy.mode || 'consistent',
+      includedPaths,
+      excludedPaths
+    }
+  },
+
+  /**
+   * Return the value of the mapper's partition key for the given record, or
+   * `undefined` if the mapper isn't partitioned.
+   *
+   * Set `partitionKey` on a Mapper to the path of its partition key, e.g.
+   * `"/tenantId"`, to store its records in a partitioned collection. The
+   * collection is created with that partition key, and point operations on
+   * its records pass the appropriate `partitionKey` request option. Reading
+   * or destroying a record by primary key alone requires a cross-partition
+   * query, unless the partition key is `"/id"` or `opts.partitionKey` is
+   * provided.
+   *
+   * @example
+   * store.defineMapper('invoice', {
+   *   partitionKey: '/tenantId'
+   * })
+   * store.find('invoice', 1234, { partitionKey: 'acme' })
+   *
+   * @name DocumentDBAdapter#getPartitionKey
+   * @method
+   * @param {object} mapper The mapper.
+   * @param {object} record The record.
+   * @return {*}
+   */
+  getPartitionKey (mapper, record) {
+    if (!mapper.partitionKey) {
+      return
+    }
+    return utils.get(record, mapper.partitionKey.split('/').filter((part) => part).join('.'))
+  },
+
+  /**
+   * Return the triggers declared by the mapper, as DocumentDB trigger
+   * definitions.
+   *
+   * Set `triggers` on a Mapper to an array of triggers, each with an `id`, a
+   * `triggerType` of `"pre"` or `"post"`, a `triggerOperation` of `"all"`,
+   * `"create"`, `"replace"` or `"delete"`, and a `body`, which may be a
+   * function. {@link DocumentDBAdapter#waitForCollection} registers them in
+   * the mapper's collection, replacing triggers with the same id that differ.
+   *
+   * The adapter includes the matching triggers in the requests it makes to
+   * create, replace and destroy documents. Upserts only include triggers of
+   * all operations. Pass `opts.preTriggerInclude` or
+   * `opts.postTriggerInclude` to include other triggers, or `false` to
+   * include none. Triggers don't run for {@link DocumentDBAdapter#atomic|atomic}
+   * writes.
+   *
+   * @example
+   * store.defineMapper('user', {
+   *   triggers: [{
+   *     id: 'stampCreatedAt',
+   *     triggerType: 'pre',
+   *     triggerOperation: 'create',
+   *     body: function () {
+   *       var request = getContext().getRequest()
+   *       var document = request.getBody()
+   *       document.createdAt = new Date().toISOString()
+   *       request.setBody(document)
+   *     }
+   *   }]
+   * })
+   *
+   * @name DocumentDBAdapter#getTriggers
+   * @method
+   * @param {object} mapper The mapper.
+   * @return {Object[]}
+   */
+  getTriggers (mapper) {
+    return (mapper.triggers || []).map((trigger) => {
+      return {
+        id: trigger.id,
+        body: `${trigger.body}`,
+        triggerType: `${trigger.triggerType}`.toLowerCase(),
+        triggerOperation: `${trigger.triggerOperation || 'all'}`.toLowerCase()
+      }
+    })
+  },
+
+  /**
+   * Return the user defined functions to register in the mapper's collection:
+   * those of {@link DocumentDBAdapter#udfs} and those declared by the mapper,
+   * which take precedence.
+   *
+   * Set `udfs` on a Mapper to an array of user defined functions, each with an
+   * `id` and a `body`, which may be a function. Call them from queries with
+   * {@link module:js-data-documentdb.udfOperator|udf operators}.
+   * {@link DocumentDBAdapter#waitForCollection} registers them in the
+   * collection, replacing functions with the same id that differ.
+   *
+   * @example
+   * store.defineMapper('user', {
+   *   udfs: [{
+   *     id: 'fuzzy',
+   *     body: function (value, term) {
+   *       return typeof value === 'string' && value.toLowerCase().indexOf(term.toLowerCase()) !== -1
+   *     }
+   *   }]
+   * })
+   * store.findAll('user', { where: { name: { 'udf.fuzzy': 'jon' } } })
+   *
+   * @name DocumentDBAdapter#getUserDefinedFunctions
+   * @method
+   * @param {object} mapper The mapper.
+   * @return {Object[]}
+   */
+  getUserDefinedFunctions (mapper) {
+    const udfs = {}
+    ;(this.udfs || []).concat(mapper.udfs || []).forEach((udf) => {
+      if (!IDENTIFIER.test(udf.id) || udf.id === LIKE_UDF.id) {
+        throw new Error(`Invalid user defined function id: ${udf.id}`)
+      }
+      udfs[udf.id] = { id: udf.id, body: `${udf.body}` }
+    })
+    return Object.keys(udfs).map((id) => udfs[id])
+  },
+
+  /**
+   * Return the type discriminator of a mapper that shares its collection with
+   * other mappers, or `undefined`.
+   *
+   * Set `sharedCollection` on a Mapper to the id of the collection to store
+   * its documents in, and `typeField` to the name of the property that tells
+   * the documents of each mapper apart. The adapter sets this property to the
+   * name of the mapper when it creates or upserts a document, only selects
+   * documents of the mapper in queries, e.g. by
+   * {@link DocumentDBAdapter#findAll}, {@link DocumentDBAdapter#count} or
+   * {@link DocumentDBAdapter#destroyAll}, and {@link DocumentDBAdapter#find}
+   * ignores documents of other mappers. The collection is created with the
+   * settings of the first mapper that uses it, so mappers that share a
+   * collection should agree on its partition key and indexing policy.
+   *
+   * @example
+   * store.defineMapper('user', { sharedCollection: 'entities', typeField: 'type' })
+   * store.defineMapper('post', { sharedCollection: 'entities', typeField: 'type' })
+   *
+   * @name DocumentDBAdapter#getDiscriminator
+   * @method
+   * @param {object} mapper The mapper.
+   * @return {object} The `field` and `value` of the discriminator.
+   */
+  getDiscriminator (mapper) {
+    if (!mapper.sharedCollection) {
+      return
+    }
+    if (!utils.isString(mapper.typeField) || !mapper.typeField) {
+      throw new Error(`Mapper ${mapper.name} shares the ${mapper.sharedCollection} collection but has no typeField!`)
+    }
+    return { field: mapper.typeField, value: mapper.name }
+  },
+
+  /**
+   * Return the migrations declared by the mapper, sorted by version.
+   *
+   * Set `migrations` on a Mapper to an array of steps, each with a positive
+   * integer `version` and an `up` function that upgrades a document from the
+   * previous version. `up` may modify the document or return a new one, or a
+   * Promise that resolves to it. Documents remember their version in
+   * {@link DocumentDBAdapter#schemaVersionField}. Documents created by the
+   * adapter start at the latest version, and documents without a version are
+   * at version `0`.
+   *
+   * Run {@link DocumentDBAdapter#migrate} to upgrade every document of the
+   * collection, or enable {@link DocumentDBAdapter#upgradeOnRead} to upgrade
+   * documents as they are read.
+   *
+   * @example
+   * store.defineMapper('user', {
+   *   migrations: [{
+   *     version: 1,
+   *     up: (user) => {
+   *       user.fullName = `${user.first} ${user.last}`
+   *     }
+   *   }, {
+   *     version: 2,
+   *     up: (user) => {
+   *       user.email = user.email.toLowerCase()
+   *     }
+   *   }]
+   * })
+   *
+   * @name DocumentDBAdapter#getMigrations
+   * @method
+   * @param {object} mapper The mapper.
+   * @return {Object[]}
+   */
+  getMigrations (mapper) {
+    const migrations = (mapper.migrations || []).slice().sort((a, b) => a.version - b.version)
+    migrations.forEach((migration, i) => {
+      if (!utils.isNumber(migration.version) || migration.version < 1 || migration.version % 1 !== 0) {
+        throw new Error(`Invalid migration version: ${migration.version}`)
+      }
+      if (i && migration.version === migrations[i - 1].version) {
+        throw new Error(`Duplicate migration version: ${migration.version}`)
+      }
+      if (!utils.isFunction(migration.up)) {
+        throw new Error(`Migration ${migration.version} has no up function!`)
+      }
+    })
+    return migrations
+  },
+
+  getDbId (mapper, opts) {
+    return utils.isUndefined(opts.db) ? this.resolveDb(mapper, opts) : opts.db
+  },
+
+  getCollectionId (mapper, opts) {
+    if (utils.isString(mapper)) {
+      return mapper
+    }
+    return utils.isUndefined(opts.collection) ? this.resolveCollection(mapper, opts) : opts.collection
+  },
+
+  getDbLink (mapper, opts) {
+    return `dbs/${this.getDbId(mapper, opts)}`
+  },
+
+  getCollectionLink (mapper, opts) {
+    return `${this.getDbLink(mapper, opts)}/colls/${this.getCollectionId(mapper, opts)}`
+  },
+
+  getDocumentLink (mapper, id, opts) {
+    return `${this.getCollectionLink(mapper, opts)}/docs/${id}`
+  },
+
+  getAttachmentLink (mapper, id, attachmentId, opts) {
+    return `${this.getDocumentLink(mapper, id, opts)}/attachments/${attachmentId}`
+  },
+
+  waitForDb (opts) {
+    opts || (opts = {})
+    const dbId = utils.isUndefined(opts.db) ? this.documentOpts.db : opts.db
+    if (!this.databases[dbId]) {
+      this.databases[dbId] = new utils.Promise((resolve, reject) => {
+        this._retry(opts, (callback) => this.client.readDatabases().toArray(callback), (err, dbs) => {
+          if (err) {
+            return reject(err)
+          }
+          let existing
+          dbs.forEach((db) => {
+            if (dbId === db.id) {
+              existing = db
+              return false
+            }
+          })
+          if (!existing) {
+            return this._retry(opts, (callback) => this.client.createDatabase({ id: dbId }, callback), (err, db) => {
+              if (err) {
+                return reject(err)
+              }
+              return resolve(db)
+            })
+          }
+          return resolve(existing)
+        })
+      })
+    }
+    return this.databases[dbId]
+  },
+
+  waitForCollection (mapper, opts) {
+    opts || (opts = {})
+    const dbId = this.getDbId(mapper, opts)
+    const collectionId = this.getCollectionId(mapper, opts)
+    const dbOpts = { db: dbId }
+    utils.fillIn(dbOpts, opts)
+    return this.waitForDb(dbOpts).then(() => {
+      let promise = this.collections[dbId] && this.collections[dbId][collectionId]
+      if (!promise) {
+        promise = new utils.Promise((resolve, reject) => {
+          this._retry(opts, (callback) => this.client.readCollections(`dbs/${dbId}`).toArray(callback), (err, collections) => {
+            if (err) {
+              return reject(err)
+            }
+            let existing
+            collections.forEach((collection) => {
+              if (collectionId === collection.id) {
+                existing = collection
+                return false
+              }
+            })
+            if (!existing) {
+              const body = { id: collectionId }
+              const indexingPolicy = this.getIndexingPolicy(mapper)
+              if (indexingPolicy) {
+                body.indexingPolicy = indexingPolicy
+              }
+              if (mapper.partitionKey) {
+                body.partitionKey = {
+                  paths: [mapper.partitionKey],
+                  kind: 'Hash'
+                }
+              }
+              if (!utils.isUndefined(mapper.defaultTtl)) {
+                body.defaultTtl = mapper.defaultTtl
+              }
+              return this._retry(opts, (callback) => this.client.createCollection(`dbs/${dbId}`, body, callback), (err, collection) => {
+                if (err) {
+                  return reject(err)
+                }
+                return resolve(collection)
+              })
+            }
+            return resolve(existing)
+          })
+        }).then((collection) => {
+          const collLink = `dbs/${dbId}/colls/${collectionId}`
+          return this._registerScripts(collLink, 'UserDefinedFunction', [LIKE_UDF].concat(this.getUserDefinedFunctions(mapper)), opts)
+            .then(() => this._registerScripts(collLink, 'Trigger', this.getTriggers(mapper), opts))
+            .then(() => collection)
+        })
+      }
+      return this._cacheCollection(dbId, collectionId, promise)
+    })
+  },
+
+  /**
+   * Return the average of the specified field of records that match the
+   * selection query. Records where the field is not a number are ignored.
+   *
+   * @name DocumentDBAdapter#avg
+   * @method
+   * @param {object} mapper The mapper.
+   * @param {string} field The field to aggregate.
+   * @param {object} [query] Selection query.
+   * @param {object} [query.where] Filtering criteria.
+   * @param {string|Array} [query.orderBy] Sorting criteria.
+   * @param {string|Array} [query.sort] Same as `query.sort`.
+   * @param {number} [query.limit] Limit results.
+   * @param {number} [query.skip] Offset results.
+   * @param {number} [query.offset] Same as `query.skip`.
+   * @param {object} [opts] Configuration options.
+   * @param {object} [opts.feedOpts] Options to pass to the DocumentClient#queryDocuments.
+   * @param {object} [opts.operators] Override the default predicate functions
+   * for specified operators.
+   * @param {boolean} [opts.raw=false] Whether to return a more detailed
+   * response object.
+   * @param {object|boolean} [opts.retry] Override {@link DocumentDBAdapter#retry}.
+   * @param {boolean} [opts.serverAggregates] Override {@link DocumentDBAdapter#serverAggregates}.
+   * @param {boolean} [opts.withDeleted=false] Include soft-deleted records.
+   * See {@link DocumentDBAdapter#softDelete}.
+   * @return {Promise}
+   */
+  avg (mapper, field, query, opts) {
+    opts || (opts = {})
+    query || (query = {})
+
+    return this.waitForCollection(mapper, opts)
+      .then(() => this._lifecycle('avg', [mapper, field, query], opts))
+  },
+
+  /**
+   * Return the number of records that match the selection query.
+   *
+   * @name DocumentDBAdapter#count
+   * @method
+   * @param {object} mapper the mapper.
+   * @param {object} [query] Selection query.
+   * @param {object} [query.where] Filtering criteria.
+   * @param {string|Array} [query.orderBy] Sorting criteria.
+   * @param {string|Array} [query.sort] Same as `query.sort`.
+   * @param {number} [query.limit] Limit results.
+   * @param {number} [query.skip] Offset results.
+   * @param {number} [query.offset] Same as `query.skip`.
+   * @param {object} [opts] Configuration options.
+   * @param {object} [opts.operators] Override the default predicate functions
+   * for specified operators.
+   * @param {*} [opts.partitionKey] Scope the query to this partition. See
+   * {@link DocumentDBAdapter#getFeedOpts}.
+   * @param {boolean} [opts.raw=false] Whether to return a more detailed
+   * response object.
+   * @param {object} [opts.requestOpts] Options to pass to the DocumentClient request.
+   * @param {object|boolean} [opts.retry] Override {@link DocumentDBAdapter#retry}.
+   * @param {boolean} [opts.serverAggregates] Override {@link DocumentDBAdapter#serverAggregates}.
+   * @param {boolean} [opts.withDeleted=false] Include soft-deleted records.
+   * See {@link DocumentDBAdapter#softDelete}.
+   * @return {Promise}
+   */
+  count (mapper, query, opts) {
+    opts || (opts = {})
+    query || (query = {})
+
+    return this.waitForCollection(mapper, opts)
+      .then(() => Adapter.prototype.count.call(this, mapper, query, opts))
+  },
+
+  /**
+   * Create a new record.
+   *
+   * @name DocumentDBAdapter#create
+   * @method
+   * @param {object} mapper The mapper.
+   * @param {object} props The record to be created.
+   * @param {object} [opts] Configuration options.
+   * @param {string|string[]|boolean} [opts.postTriggerInclude] Override the
+   * post-triggers to run. See {@link DocumentDBAdapter#getTriggers}.
+   * @param {string|string[]|boolean} [opts.preTriggerInclude] Override the
+   * pre-triggers to run. See {@link DocumentDBAdapter#getTriggers}.
+   * @param {boolean} [opts.raw=false] Whether to return a more detailed
+   * response object.
+   * @param {object} [opts.requestOpts] Options to pass to the DocumentClient request.
+   * @param {object|boolean} [opts.retry] Override {@link DocumentDBAdapter#retry}.
+   * @param {number} [opts.ttl] Time-to-live of the written documents, in
+   * seconds. See {@link DocumentDBAdapter#updateTtl}.
+   * @return {Promise}
+   */
+  create (mapper, props, opts) {
+    props || (props = {})
+    opts || (opts = {})
+
+    return this.waitForCollection(mapper, opts)
+      .then(() => Adapter.prototype.create.call(this, mapper, props, opts))
+  },
+
+  /**
+   * Create multiple records in a single batch.
+   *
+   * @name DocumentDBAdapter#createMany
+   * @method
+   * @param {object} mapper The mapper.
+   * @param {object} props The records to be created.
+   * @param {object} [opts] Configuration options.
+   * @param {boolean} [opts.atomic] Override {@link DocumentDBAdapter#atomic}.
+   * @param {number} [opts.batchSize] Override {@link DocumentDBAdapter#batchSize}.
+   * @param {number} [opts.concurrency] Override {@link DocumentDBAdapter#concurrency}.
+   * @param {string|string[]|boolean} [opts.postTriggerInclude] Override the
+   * post-triggers to run. See {@link DocumentDBAdapter#getTriggers}.
+   * @param {string|string[]|boolean} [opts.preTriggerInclude] Override the
+   * pre-triggers to run. See {@link DocumentDBAdapter#getTriggers}.
+   * @param {boolean} [opts.raw=false] Whether to return a more detailed
+   * response object.
+   * @param {object} [opts.requestOpts] Options to pass to the DocumentClient request.
+   * @param {object|boolean} [opts.retry] Override {@link DocumentDBAdapter#retry}.
+   * @param {number} [opts.ttl] Time-to-live of the written documents, in
+   * seconds. See {@link DocumentDBAdapter#updateTtl}.
+   * @return {Promise}
+   */
+  createMany (mapper, props, opts) {
+    props || (props = {})
+    opts || (opts = {})
+
+    return this.waitForCollection(mapper, opts)
+      .then(() => Adapter.prototype.createMany.call(this, mapper, props, opts))
+  },
+
+  /**
+   * Add an attachment to the record with the given primary key. Resolves with
+   * the attachment.
+   *
+   * If `attachment.media` is a readable stream, its content is uploaded and
+   * stored by DocumentDB. Otherwise `attachment.media` is the URL of media
+   * stored elsewhere, which DocumentDB only keeps a reference to.
+   *
+   * DocumentDB deletes the attachments of a record, and the media uploaded
+   * for them, when the record is destroyed. Media stored elsewhere is not
+   * deleted.
+   *
+   * @example
+   * adapter.createAttachment(User, user.id, {
+   *   id: 'avatar',
+   *   contentType: 'image/png',
+   *   media: fs.createReadStream('avatar.png')
+   * })
+   *
+   * @name DocumentDBAdapter#createAttachment
+   * @method
+   * @param {object} mapper The mapper.
+   * @param {(string|number)} id Primary key of the record.
+   * @param {object} attachment The attachment.
+   * @param {string} [attachment.id] Id of the attachment. Generated if
+   * omitted.
+   * @param {string} attachment.contentType MIME type of the media.
+   * @param {(string|stream.Readable)} attachment.media Media to upload, or the
+   * URL of external media.
+   * @param {object} [opts] Configuration options.
+   * @param {*} [opts.partitionKey] Partition key value of the record. See
+   * {@link DocumentDBAdapter#getPartitionKey}.
+   * @param {object} [opts.requestOpts] Options to pass to the DocumentClient request.
+   * @param {object|boolean} [opts.retry] Override {@link DocumentDBAdapter#retry}.
+   * @return {Promise}
+   */
+  createAttachment (mapper, id, attachment, opts) {
+    attachment || (attachment = {})
+    opts || (opts = {})
+
+    const docLink = this.getDocumentLink(mapper, id, opts)
+
+    return this.waitForCollection(mapper, opts)
+      .then(() => this._getAttachmentRequestOpts(mapper, id, opts))
+      .then((requestOpts) => new utils.Promise((resolve, reject) => {
+        const done = (err, created) => err ? reject(err) : resolve(created)
+        if (isStream(attachment.media)) {
+          requestOpts.slug = attachment.id
+          requestOpts.contentType = attachment.contentType
+          // A stream can only be read once, so the upload isn't retried
+          return this.client.createAttachmentAndUploadMedia(docLink, attachment.media, requestOpts, done)
+        }
+        this._retry(opts, (callback) => this.client.createAttachment(docLink, utils.plainCopy(attachment), requestOpts, callback), done)
+      }))
+  },
+
+  /**
+   * Destroy the record with the given primary key.
+   *
+   * @name DocumentDBAdapter#destroy
+   * @method
+   * @param {object} mapper The mapper.
+   * @param {(string|number)} id Primary key of the record to destroy.
+   * @param {object} [opts] Configuration options.
+   * @param {string} [opts.etag] Only destroy the record if its `_etag` matches
+   * this value. Requires `opts.optimistic`. Without it, an optimistic destroy
+   * reads the record and only destroys it if it hasn't changed since.
+   * @param {boolean} [opts.optimistic] Override {@link DocumentDBAdapter#optimistic}.
+   * @param {*} [opts.partitionKey] Partition key value of the record. See
+   * {@link DocumentDBAdapter#getPartitionKey}.
+   * @param {string|string[]|boolean} [opts.postTriggerInclude] Override the
+   * post-triggers to run. See {@link DocumentDBAdapter#getTriggers}.
+   * @param {string|string[]|boolean} [opts.preTriggerInclude] Override the
+   * pre-triggers to run. See {@link DocumentDBAdapter#getTriggers}.
+   * @param {boolean} [opts.raw=false] Whether to return a more detailed
+   * response object.
+   * @param {object} [opts.requestOpts] Options to pass to the DocumentClient request.
+   * @param {object|boolean} [opts.retry] Override {@link DocumentDBAdapter#retry}.
+   * @param {boolean} [opts.softDelete] Override {@link DocumentDBAdapter#softDelete}.
+   * @return {Promise}
+   */
+  destroy (mapper, id, opts) {
+    opts || (opts = {})
+
+    return this.waitForCollection(mapper, opts)
+      .then(() => Adapter.prototype.destroy.call(this, mapper, id, opts))
+  },
+
+  /**
+   * Destroy the records that match the selection query.
+   *
+   * @name DocumentDBAdapter#destroyAll
+   * @method
+   * @param {object} mapper the mapper.
+   * @param {object} [query] Selection query.
+   * @param {object} [query.where] Filtering criteria.
+   * @param {string|Array} [query.orderBy] Sorting criteria.
+   * @param {string|Array} [query.sort] Same as `query.sort`.
+   * @param {number} [query.limit] Limit results.
+   * @param {number} [query.skip] Offset results.
+   * @param {number} [query.offset] Same as `query.skip`.
+   * @param {object} [opts] Configuration options.
+   * @param {boolean} [opts.atomic] Override {@link DocumentDBAdapter#atomic}.
+   * @param {number} [opts.batchSize] Override {@link DocumentDBAdapter#batchSize}.
+   * @param {number} [opts.concurrency] Override {@link DocumentDBAdapter#concurrency}.
+   * @param {object} [opts.feedOpts] Options to pass to the DocumentClient#queryDocuments.
+   * @param {object} [opts.operators] Override the default predicate functions
+   * for specified operators.
+   * @param {boolean} [opts.optimistic] Override {@link DocumentDBAdapter#optimistic}.
+   * @param {number} [opts.optimisticRetries] Override {@link DocumentDBAdapter#optimisticRetries}.
+   * @param {*} [opts.partitionKey] Scope the query to this partition. See
+   * {@link DocumentDBAdapter#getFeedOpts}.
+   * @param {string|string[]|boolean} [opts.postTriggerInclude] Override the
+   * post-triggers to run. See {@link DocumentDBAdapter#getTriggers}.
+   * @param {string|string[]|boolean} [opts.preTriggerInclude] Override the
+   * pre-triggers to run. See {@link DocumentDBAdapter#getTriggers}.
+   * @param {boolean} [opts.raw=false] Whether to return a more detailed
+   * response object.
+   * @param {object} [opts.requestOpts] Options to pass to the DocumentClient request.
+   * @param {object|boolean} [opts.retry] Override {@link DocumentDBAdapter#retry}.
+   * @param {boolean} [opts.softDelete] Override {@link DocumentDBAdapter#softDelete}.
+   * @param {boolean} [opts.withDeleted=false] Include soft-deleted records.
+   * See {@link DocumentDBAdapter#softDelete}.
+   * @return {Promise}
+   */
+  destroyAll (mapper, query, opts) {
+    opts || (opts = {})
+    query || (query = {})
+
+    return this.waitForCollection(mapper, opts)
+      .then(() => Adapter.prototype.destroyAll.call(this, mapper, query, opts))
+  },
+
+  /**
+   * Remove an attachment from the record with the given primary key. See
+   * {@link DocumentDBAdapter#createAttachment}.
+   *
+   * @name DocumentDBAdapter#destroyAttachment
+   * @method
+   * @param {object} mapper The mapper.
+   * @param {(string|number)} id Primary key of the record.
+   * @param {string} attachmentId Id of the attachment.
+   * @param {object} [opts] Configuration options.
+   * @param {*} [opts.partitionKey] Partition key value of the record. See
+   * {@link DocumentDBAdapter#getPartitionKey}.
+   * @param {object} [opts.requestOpts] Options to pass to the DocumentClient request.
+   * @param {object|boolean} [opts.retry] Override {@link DocumentDBAdapter#retry}.
+   * @return {Promise}
+   */
+  destroyAttachment (mapper, id, attachmentId, opts) {
+    opts || (opts = {})
+
+    const attachmentLink = this.getAttachmentLink(mapper, id, attachmentId, opts)
+
+    return this.waitForCollection(mapper, opts)
+      .then(() => this._getAttachmentRequestOpts(mapper, id, opts))
+      .then((requestOpts) => new utils.Promise((resolve, reject) => {
+        this._retry(opts, (callback) => this.client.deleteAttachment(attachmentLink, requestOpts, callback), (err) => {
+          if (err && err.code !== 404) {
+            return reject(err)
+          }
+          return resolve()
+        })
+      }))
+  },
+
+  /**
+   * Apply the mapper's indexing policy to its existing collection, replacing
+   * the collection's current policy if it differs. Resolves with the
+   * collection. See {@link DocumentDBAdapter#getIndexingPolicy}.
+   *
+   * Run this after adding a field to `indexingPolicy.range`, e.g. to sort on
+   * a new field, as collections that already exist are not updated by
+   * {@link DocumentDBAdapter#waitForCollection}. DocumentDB re-indexes the
+   * collection in the background.
+   *
+   * @example
+   * adapter.ensureIndexes(store.getMapper('user'))
+   *
+   * @name DocumentDBAdapter#ensureIndexes
+   * @method
+   * @param {object} mapper The mapper.
+   * @param {object} [opts] Configuration options.
+   * @param {object} [opts.requestOpts] Options to pass to the DocumentClient request.
+   * @param {object|boolean} [opts.retry] Override {@link DocumentDBAdapter#retry}.
+   * @return {Promise}
+   */
+  ensureIndexes (mapper, opts) {
+    opts || (opts = {})
+
+    const dbId = this.getDbId(mapper, opts)
+    const collectionId = this.getCollectionId(mapper, opts)
+    const indexingPolicy = this.getIndexingPolicy(mapper)
+
+    return this.waitForCollection(mapper, opts).then((collection) => {
+      if (!indexingPolicy || serializeIndexingPolicy(collection.indexingPolicy) === serializeIndexingPolicy(indexingPolicy)) {
+        return collection
+      }
+      this.indices[dbId] = this.indices[dbId] || {}
+      const current = this.indices[dbId][collectionId]
+      if (current && current.policy === serializeIndexingPolicy(indexingPolicy)) {
+        return current.promise
+      }
+      const body = utils.plainCopy(collection)
+      body.indexingPolicy = indexingPolicy
+      const promise = new utils.Promise((resolve, reject) => {
+        this._retry(opts, (callback) => this.client.replaceCollection(this.getCollectionLink(mapper, opts), body, this.getOpt('requestOpts', opts), callback), (err, updated) => {
+          if (err) {
+            delete this.indices[dbId][collectionId]
+            return reject(err)
+          }
+          this._cacheCollection(dbId, collectionId, utils.resolve(updated))
+          return resolve(updated)
+        })
+      })
+      this.indices[dbId][collectionId] = {
+        policy: serializeIndexingPolicy(indexingPolicy),
+        promise
+      }
+      return promise
+    })
+  },
+
+  /**
+   * Retrieve the record with the given primary key.
+   *
+   * @name DocumentDBAdapter#find
+   * @method
+   * @param {object} mapper The mapper.
+   * @param {(string|number)} id Primary key of the record to retrieve.
+   * @param {object} [opts] Configuration options.
+   * @param {*} [opts.partitionKey] Partition key value of the record. See
+   * {@link DocumentDBAdapter#getPartitionKey}.
+   * @param {boolean} [opts.raw=false] Whether to return a more detailed
+   * response object.
+   * @param {object} [opts.requestOpts] Options to pass to the DocumentClient request.
+   * @param {object|boolean} [opts.retry] Override {@link DocumentDBAdapter#retry}.
+   * @param {string[]} [opts.with=[]] Relations to eager load.
+   * @param {boolean} [opts.withDeleted=false] Include soft-deleted records.
+   * See {@link DocumentDBAdapter#softDelete}.
+   * @return {Promise}
+   */
+  find (mapper, id, opts) {
+    opts || (opts = {})
+
+    return this.waitForCollection(mapper, opts)
+      .then(() => Adapter.prototype.find.call(this, mapper, id, opts))
+  },
+
+  /**
+   * Retrieve the records that match the selection query.
+   *
+   * @name DocumentDBAdapter#findAll
+   * @method
+   * @param {object} mapper The mapper.
+   * @param {object} [query] Selection query.
+   * @param {object} [query.where] Filtering criteria.
+   * @param {string|Array} [query.orderBy] Sorting criteria.
+   * @param {string|Array} [query.sort] Same as `query.sort`.
+   * @param {number} [query.limit] Limit results.
+   * @param {number} [query.skip] Offset results.
+   * @param {number} [query.offset] Same as `query.skip`.
+   * @param {object} [opts] Configuration options.
+   * @param {object} [opts.feedOpts] Options to pass to the DocumentClient#queryDocuments.
+   * @param {string[]} [opts.fields] Choose which fields should be returned from
+   * the SQL query, e.g. ["id", "name"].
+   * @param {object} [opts.operators] Override the default predicate functions
+   * for specified operators.
+   * @param {*} [opts.partitionKey] Scope the query to this partition. See
+   * {@link DocumentDBAdapter#getFeedOpts}.
+   * @param {boolean} [opts.raw=false] Whether to return a more detailed
+   * response object.
+   * @param {object} [opts.requestOpts] Options to pass to the DocumentClient request.
+   * @param {object|boolean} [opts.retry] Override {@link DocumentDBAdapter#retry}.
+   * @param {string} [opts.select] Override the SELECT string in the resulting
+   * SQL query, e.g. "users.id,users.name".
+   * @param {string[]} [opts.with=[]] Relations to eager load.
+   * @param {boolean} [opts.withDeleted=false] Include soft-deleted records.
+   * See {@link DocumentDBAdapter#softDelete}.
+   * @return {Promise}
+   */
+  findAll (mapper, query, opts) {
+    opts || (opts = {})
+    query || (query = {})
+
+    return this.waitForCollection(mapper, opts)
+      .then(() => Adapter.prototype.findAll.call(this, mapper, query, opts))
+  },
+
+  /**
+   * Retrieve the attachments of the record with the given primary key. See
+   * {@link DocumentDBAdapter#createAttachment}.
+   *
+   * @name DocumentDBAdapter#findAttachments
+   * @method
+   * @param {object} mapper The mapper.
+   * @param {(string|number)} id Primary key of the record.
+   * @param {object} [opts] Configuration options.
+   * @param {object} [opts.feedOpts] Options to pass to the
+   * DocumentClient#readAttachments.
+   * @param {*} [opts.partitionKey] Partition key value of the record. See
+   * {@link DocumentDBAdapter#getPartitionKey}.
+   * @param {object} [opts.requestOpts] Options to pass to the DocumentClient request.
+   * @param {object|boolean} [opts.retry] Override {@link DocumentDBAdapter#retry}.
+   * @return {Promise}
+   */
+  findAttachments (mapper, id, opts) {
+    opts || (opts = {})
+
+    const docLink = this.getDocumentLink(mapper, id, opts)
+
+    return this.waitForCollection(mapper, opts)
+      .then(() => this._getAttachmentRequestOpts(mapper, id, opts))
+      .then((requestOpts) => new utils.Promise((resolve, reject) => {
+        const feedOpts = this.getOpt('feedOpts', opts)
+        if (requestOpts.partitionKey !== undefined) {
+          feedOpts.partitionKey = requestOpts.partitionKey
+        }
+        this._retry(opts, (callback) => this.client.readAttachments(docLink, feedOpts).toArray(callback), (err, attachments) => {
+          if (err) {
+            if (err.code === 404) {
+              return resolve([])
+            }
+            return reject(err)
+          }
+          return resolve(attachments)
+        })
+      }))
+  },
+
+  /**
+   * Retrieve one page of the records that match the selection query. Pass the
+   * returned `continuation` token as `opts.continuation` to retrieve the next
+   * page. The last page has no `continuation` token.
+   *
+   * Unlike `query.skip`, continuation tokens let DocumentDB resume the query
+   * where the previous page left off instead of reading and discarding every
+   * preceding record.
+   *
+   * @example
+   * const UserMapper = store.getMapper('user')
+   * const adapter = store.getAdapter('documentdb')
+   * adapter.findPage(UserMapper, { orderBy: 'name' }, { pageSize: 20 })
+   *   .then((page) => {
+   *     // page.records contains up to 20 users
+   *     return adapter.findPage(UserMapper, { orderBy: 'name' }, {
+   *       pageSize: 20,
+   *       continuation: page.continuation
+   *     })
+   *   })
+   *
+   * @name DocumentDBAdapter#findPage
+   * @method
+   * @param {object} mapper The mapper.
+   * @param {object} [query] Selection query. `query.skip` and `query.offset`
+   * are not supported.
+   * @param {object} [query.where] Filtering criteria.
+   * @param {string|Array} [query.orderBy] Sorting criteria.
+   * @param {string|Array} [query.sort] Same as `query.sort`.
+   * @param {number} [query.limit] Limit results across all pages.
+   * @param {object} [opts] Configuration options.
+   * @param {string} [opts.continuation] Continuation token returned with the
+   * previous page.
+   * @param {object} [opts.feedOpts] Options to pass to the DocumentClient#queryDocuments.
+   * @param {string[]} [opts.fields] Choose which fields should be returned from
+   * the SQL query, e.g. ["id", "name"].
+   * @param {object} [opts.operators] Override the default predicate functions
+   * for specified operators.
+   * @param {number} [opts.pageSize] Maximum number of records per page.
+   * Defaults to the `maxItemCount` of {@link DocumentDBAdapter#feedOpts}.
+   * @param {boolean} [opts.raw=false] Whether to return a more detailed
+   * response object.
+   * @param {object|boolean} [opts.retry] Override {@link DocumentDBAdapter#retry}.
+   * @param {string} [opts.select] Override the SELECT string in the resulting
+   * SQL query, e.g. "users.id,users.name".
+   * @param {boolean} [opts.withDeleted=false] Include soft-deleted records.
+   * See {@link DocumentDBAdapter#softDelete}.
+   * @return {Promise} Resolves with an object with `records` and
+   * `continuation` properties.
+   */
+  findPage (mapper, query, opts) {
+    opts || (opts = {})
+    query || (query = {})
+
+    return this.waitForCollection(mapper, opts)
+      .then(() => this._lifecycle('findPage', [mapper, query], opts))
+  },
+
+  /**
+   * Resolve the predicate function for the specified operator based on the
+   * given options and this adapter's settings. Operators named `udf.<id>`
+   * that aren't overridden call the user defined function with that id. See
+   * {@link module:js-data-documentdb.udfOperator}.
+   *
+   * @name DocumentDBAdapter#getOperator
+   * @method
+   * @param {string} operator The name of the operator.
+   * @param {object} [opts] Configuration options.
+   * @param {object} [opts.operators] Override the default predicate functions
+   * for specified operators.
+   * @return {*} The predicate function for the specified operator.
+   */
+  getOperator (operator, opts) {
+    opts || (opts = {})
+    opts.operators || (opts.operators = {})
+    let ownOps = this.operators || {}
+    const predicateFn = utils.isUndefined(opts.operators[operator]) ? ownOps[operator] : opts.operators[operator]
+    if (utils.isUndefined(predicateFn) && /^udf\./.test(operator)) {
+      return udfOperator(operator.substr(4))
+    }
+    return predicateFn
+  },
+
+  /**
+   * Group the records that match the selection query by the value of the
+   * specified field, and aggregate each group. Resolves with an array of
+   * `{ key, value }` objects, one per distinct value of `field`.
+   *
+   * DocumentDB can't group on the server, so the matching records are folded
+   * in memory one page at a time, selecting only the fields involved.
+   *
+   * @example <caption>Count orders per status</caption>
+   * adapter.groupBy(OrderMapper, 'status')
+   *   .then((groups) => {
+   *     // [{ key: 'pending', value: 3 }, { key: 'shipped', value: 12 }]
+   *   })
+   *
+   * @example <caption>Sum order totals per customer</caption>
+   * adapter.groupBy(OrderMapper, 'customerId', {}, { fn: 'sum', valueField: 'total' })
+   *
+   * @name DocumentDBAdapter#groupBy
+   * @method
+   * @param {object} mapper The mapper.
+   * @param {string} field The field to group by.
+   * @param {object} [query] Selection query.
+   * @param {object} [query.where] Filtering criteria.
+   * @param {string|Array} [query.orderBy] Sorting criteria.
+   * @param {string|Array} [query.sort] Same as `query.sort`.
+   * @param {number} [query.limit] Limit results.
+   * @param {number} [query.skip] Offset results.
+   * @param {number} [query.offset] Same as `query.skip`.
+   * @param {object} [opts] Configuration options.
+   * @param {object} [opts.feedOpts] Options to pass to the DocumentClient#queryDocuments.
+   * @param {string} [opts.fn="count"] The aggregate to compute for each group.
+   * One of `"count"`, `"sum"`, `"min"`, `"max"` or `"avg"`.
+   * @param {object} [opts.operators] Override the default predicate functions
+   * for specified operators.
+   * @param {boolean} [opts.raw=false] Whether to return a more detailed
+   * response object.
+   * @param {object|boolean} [opts.retry] Override {@link DocumentDBAdapter#retry}.
+   * @param {string} [opts.valueField] The field to aggregate. Required unless
+   * `opts.fn` is `"count"`.
+   * @param {boolean} [opts.withDeleted=false] Include soft-deleted records.
+   * See {@link DocumentDBAdapter#softDelete}.
+   * @return {Promise}
+   */
+  groupBy (mapper, field, query, opts) {
+    if (!utils.isString(field)) {
+      throw new Error('field must be a string!')
+    }
+    opts || (opts = {})
+    query || (query = {})
+
+    return this.waitForCollection(mapper, opts)
+      .then(() => this._lifecycle('groupBy', [mapper, field, query], opts))
+  },
+
+  /**
+   * Lazily iterate over the records that match the selection query. Records
+   * are fetched one page at a time with `executeNext`, and the next page is
+   * not requested until every record of the current page has been consumed.
+   *
+   * The returned object implements the async iterator protocol, so it can be
+   * consumed with `for await...of` where supported, or by calling `next`
+   * directly.
+   *
+   * @example
+   * const iterator = adapter.iterate(UserMapper, { where: { active: true } })
+   * const step = () => iterator.next().then((result) => {
+   *   if (!result.done) {
+   *     console.log(result.value)
+   *     return step()
+   *   }
+   * })
+   * step()
+   *
+   * @name DocumentDBAdapter#iterate
+   * @method
+   * @param {object} mapper The mapper.
+   * @param {object} [query] Selection query.
+   * @param {object} [query.where] Filtering criteria.
+   * @param {string|Array} [query.orderBy] Sorting criteria.
+   * @param {string|Array} [query.sort] Same as `query.sort`.
+   * @param {number} [query.limit] Limit results.
+   * @param {number} [query.skip] Offset results.
+   * @param {number} [query.offset] Same as `query.skip`.
+   * @param {object} [opts] Configuration options.
+   * @param {object} [opts.feedOpts] Options to pass to the DocumentClient#queryDocuments.
+   * @param {string[]} [opts.fields] Choose which fields should be returned from
+   * the SQL query, e.g. ["id", "name"].
+   * @param {object} [opts.operators] Override the default predicate functions
+   * for specified operators.
+   * @param {number} [opts.pageSize] Maximum number of records per page.
+   * @param {object|boolean} [opts.retry] Override {@link DocumentDBAdapter#retry}.
+   * @param {string} [opts.select] Override the SELECT string in the resulting
+   * SQL query, e.g. "users.id,users.name".
+   * @param {boolean} [opts.withDeleted=false] Include soft-deleted records.
+   * See {@link DocumentDBAdapter#softDelete}.
+   * @return {object} Async iterator of records.
+   */
+  iterate (mapper, query, opts) {
+    opts || (opts = {})
+    query || (query = {})
+
+    let cursor
+    let buffer = []
+    let pending = utils.resolve()
+
+    const getCursor = () => {
+      if (cursor) {
+        return utils.resolve(cursor)
+      }
+      return this.waitForCollection(mapper, opts).then(() => {
+        return this.resolveRelationFilters(mapper, query, opts)
+      }).then((query) => {
+        const collLink = this.getCollectionLink(mapper, opts)
+        const feedOpts = this.getFeedOpts(mapper, query, opts)
+        const querySpec = this.getQuerySpec(mapper, query, opts)
+        if (opts.pageSize) {
+          feedOpts.maxItemCount = opts.pageSize
+        }
+        const iterator = this.client.queryDocuments(collLink, querySpec, feedOpts)
+        cursor = paginate(iterator, +(query.skip || query.offset) || 0, +query.limit || 0, (fn, callback) => this._retry(opts, fn, callback))
+        return cursor
+      })
+    }
+
+    const pull = () => {
+      if (buffer.length) {
+        return { value: buffer.shift(), done: false }
+      }
+      return getCursor()
+        .then((cursor) => cursor.next())
+        .then((page) => {
+          if (!page) {
+            return { value: undefined, done: true }
+          }
+          buffer = page
+          return pull()
+        })
+    }
+
+    const iterator = {
+      next () {
+        // Serialize calls so that concurrent consumers don't fetch the same page
+        pending = pending.then(pull, pull)
+        return pending
+      },
+      return () {
+        buffer = []
+        cursor = { next: () => utils.resolve() }
+        return utils.resolve({ value: undefined, done: true })
+      }
+    }
+    iterator[ASYNC_ITERATOR] = function () {
+      return this
+    }
+    return iterator
+  },
+
+  /**
+   * Return the maximum value of the specified field of records that match
+   * the selection query.
+   *
+   * @name DocumentDBAdapter#max
+   * @method
+   * @param {object} mapper The mapper.
+   * @param {string} field The field to aggregate.
+   * @param {object} [query] Selection query.
+   * @param {object} [query.where] Filtering criteria.
+   * @param {string|Array} [query.orderBy] Sorting criteria.
+   * @param {string|Array} [query.sort] Same as `query.sort`.
+   * @param {number} [query.limit] Limit results.
+   * @param {number} [query.skip] Offset results.
+   * @param {number} [query.offset] Same as `query.skip`.
+   * @param {object} [opts] Configuration options.
+   * @param {object} [opts.feedOpts] Options to pass to the DocumentClient#queryDocuments.
+   * @param {object} [opts.operators] Override the default predicate functions
+   * for specified operators.
+   * @param {boolean} [opts.raw=false] Whether to return a more detailed
+   * response object.
+   * @param {object|boolean} [opts.retry] Override {@link DocumentDBAdapter#retry}.
+   * @param {boolean} [opts.serverAggregates] Override {@link DocumentDBAdapter#serverAggregates}.
+   * @param {boolean} [opts.withDeleted=false] Include soft-deleted records.
+   * See {@link DocumentDBAdapter#softDelete}.
+   * @return {Promise}
+   */
+  max (mapper, field, query, opts) {
+    opts || (opts = {})
+    query || (query = {})
+
+    return this.waitForCollection(mapper, opts)
+      .then(() => this._lifecycle('max', [mapper, field, query], opts))
+  },
+
+  /**
+   * Apply the pending migrations of the mapper to every document of its
+   * collection. See {@link DocumentDBAdapter#getMigrations}.
+   *
+   * Outdated documents are read a page at a time, upgraded and saved, unless
+   * they were changed in the meantime, in which case they are read again with
+   * a later page, up to {@link DocumentDBAdapter#optimisticRetries} times.
+   * The progress and the applied versions are recorded in a
+   * document of the {@link DocumentDBAdapter#metaCollection|meta collection}.
+   * If a migration fails, the Promise rejects with a {@link BulkWriteError}
+   * and the documents that were already upgraded stay upgraded, so running
+   * `migrate` again resumes where it stopped.
+   *
+   * Resolves with an object with the `version` of the collection and the
+   * number of documents that were `migrated`.
+   *
+   * @example
+   * adapter.migrate(store.getMapper('user'), { pageSize: 500 })
+   *   .then((result) => console.log(`Migrated ${result.migrated} users to v${result.version}`))
+   *
+   * @name DocumentDBAdapter#migrate
+   * @method
+   * @param {object} mapper The mapper.
+   * @param {object} [opts] Configuration options.
+   * @param {number} [opts.batchSize] Override {@link DocumentDBAdapter#batchSize}.
+   * @param {number} [opts.concurrency] Override {@link DocumentDBAdapter#concurrency}.
+   * @param {number} [opts.optimisticRetries] Override {@link DocumentDBAdapter#optimisticRetries}.
+   * @param {number} [opts.pageSize=100] Number of documents to read at a time.
+   * @param {object} [opts.requestOpts] Options to pass to the DocumentClient request.
+   * @param {object|boolean} [opts.retry] Override {@link DocumentDBAdapter#retry}.
+   * @return {Promise}
+   */
+  migrate (mapper, opts) {
+    opts || (opts = {})
+
+    const migrations = this.getMigrations(mapper)
+    const version = migrations.length ? migrations[migrations.length - 1].version : 0
+    const field = this.getOpt('schemaVersionField', opts)
+    const metaId = `migrations.${this.getCollectionId(mapper, opts)}`
+    const pageSize = +opts.pageSize || 100
+    const dbId = this.getDbId(mapper, opts)
+    const collectionId = this.getCollectionId(mapper, opts)
+    const readOpts = { db: dbId, collection: collectionId, retry: opts.retry, operators: { outdated }, withDeleted: true }
+    const saveOpts = { db: dbId, collection: collectionId, requestOpts: opts.requestOpts, retry: opts.retry, optimistic: true }
+    const retries = +this.getOpt('optimisticRetries', opts) || 0
+    const conflicts = {}
+    let migrated = 0
+    let meta
+
+    const page = () => this._findAll(mapper, { where: { [field]: { outdated: version } }, limit: pageSize }, readOpts)
+      .then((result) => {
+        const documents = result[0]
+        if (!documents.length) {
+          return
+        }
+        return this._map(documents, opts, (document) => {
+          return this._migrateDocument(mapper, document, opts)
+            .then((upgraded) => this._replace(mapper, upgraded, saveOpts))
+            .then(() => {
+              migrated++
+            }, (err) => {
+              // The document changed since it was read, it is read again later
+              // unless it keeps changing
+              conflicts[document.id] = (conflicts[document.id] || 0) + 1
+              if (!(err instanceof ConflictError) || conflicts[document.id] > retries) {
+                throw err
+              }
+            })
+        })
+          .then(() => {
+            meta.progress = { version, migrated }
+            return this._writeMeta(mapper, meta, opts)
+          })
+          .then(page)
+      })
+
+    return this.waitForCollection(mapper, opts)
+      .then(() => this._readMeta(mapper, metaId, opts))
+      .then((document) => {
+        meta = document || { id: metaId, version: 0, applied: [] }
+        if (meta.version >= version && !meta.progress) {
+          return
+        }
+        return page().then(() => {
+          migrations.forEach((migration) => {
+            if (migration.version > meta.version) {
+              meta.applied.push({ version: migration.version, appliedAt: new Date().toISOString() })
+            }
+          })
+          meta.version = version
+          delete meta.progress
+          return this._writeMeta(mapper, meta, opts)
+        })
+      })
+      .then(() => ({ version, migrated }))
+  },
+
+  /**
+   * Return the minimum value of the specified field of records that match
+   * the selection query.
+   *
+   * @name DocumentDBAdapter#min
    * @method
-   * @param {object} mapper the mapper.
+   * @param {object} mapper The mapper.
+   * @param {string} field The field to aggregate.
    * @param {object} [query] Selection query.
    * @param {object} [query.where] Filtering criteria.
    * @param {string|Array} [query.orderBy] Sorting criteria.
@@ -750,191 +4118,364 @@ Adapter.extend({
    * @param {number} [query.skip] Offset results.
    * @param {number} [query.offset] Same as `query.skip`.
    * @param {object} [opts] Configuration options.
+   * @param {object} [opts.feedOpts] Options to pass to the DocumentClient#queryDocuments.
    * @param {object} [opts.operators] Override the default predicate functions
    * for specified operators.
    * @param {boolean} [opts.raw=false] Whether to return a more detailed
    * response object.
-   * @param {object} [opts.requestOpts] Options to pass to the DocumentClient request.
+   * @param {object|boolean} [opts.retry] Override {@link DocumentDBAdapter#retry}.
+   * @param {boolean} [opts.serverAggregates] Override {@link DocumentDBAdapter#serverAggregates}.
+   * @param {boolean} [opts.withDeleted=false] Include soft-deleted records.
+   * See {@link DocumentDBAdapter#softDelete}.
    * @return {Promise}
    */
-  count (mapper, query, opts) {
+  min (mapper, field, query, opts) {
     opts || (opts = {})
     query || (query = {})
 
     return this.waitForCollection(mapper, opts)
-      .then(() => Adapter.prototype.count.call(this, mapper, query, opts))
+      .then(() => this._lifecycle('min', [mapper, field, query], opts))
   },
 
   /**
-   * Create a new record.
+   * Permanently delete the records that match the selection query, whether
+   * they were soft-deleted or not. See {@link DocumentDBAdapter#softDelete}.
    *
-   * @name DocumentDBAdapter#create
+   * @example
+   * // Purge the users deleted more than 30 days ago
+   * const cutoff = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString()
+   * adapter.purge(store.getMapper('user'), { deletedAt: { '<': cutoff } })
+   *
+   * @name DocumentDBAdapter#purge
    * @method
    * @param {object} mapper The mapper.
-   * @param {object} props The record to be created.
+   * @param {object} [query] Selection query.
+   * @param {object} [query.where] Filtering criteria.
+   * @param {string|Array} [query.orderBy] Sorting criteria.
+   * @param {string|Array} [query.sort] Same as `query.sort`.
+   * @param {number} [query.limit] Limit results.
+   * @param {number} [query.skip] Offset results.
+   * @param {number} [query.offset] Same as `query.skip`.
    * @param {object} [opts] Configuration options.
+   * @param {boolean} [opts.atomic] Override {@link DocumentDBAdapter#atomic}.
+   * @param {number} [opts.batchSize] Override {@link DocumentDBAdapter#batchSize}.
+   * @param {number} [opts.concurrency] Override {@link DocumentDBAdapter#concurrency}.
+   * @param {object} [opts.feedOpts] Options to pass to the DocumentClient#queryDocuments.
+   * @param {object} [opts.operators] Override the default predicate functions
+   * for specified operators.
+   * @param {*} [opts.partitionKey] Scope the query to this partition. See
+   * {@link DocumentDBAdapter#getFeedOpts}.
    * @param {boolean} [opts.raw=false] Whether to return a more detailed
    * response object.
    * @param {object} [opts.requestOpts] Options to pass to the DocumentClient request.
+   * @param {object|boolean} [opts.retry] Override {@link DocumentDBAdapter#retry}.
    * @return {Promise}
    */
-  create (mapper, props, opts) {
-    props || (props = {})
+  purge (mapper, query, opts) {
     opts || (opts = {})
+    query || (query = {})
 
     return this.waitForCollection(mapper, opts)
-      .then(() => Adapter.prototype.create.call(this, mapper, props, opts))
+      .then(() => this._lifecycle('purge', [mapper, query], opts))
   },
 
   /**
-   * Create multiple records in a single batch.
+   * Retrieve an attachment of the record with the given primary key, or
+   * `undefined` if it doesn't exist. See
+   * {@link DocumentDBAdapter#createAttachment}.
    *
-   * @name DocumentDBAdapter#createMany
+   * @name DocumentDBAdapter#readAttachment
    * @method
    * @param {object} mapper The mapper.
-   * @param {object} props The records to be created.
+   * @param {(string|number)} id Primary key of the record.
+   * @param {string} attachmentId Id of the attachment.
    * @param {object} [opts] Configuration options.
-   * @param {boolean} [opts.raw=false] Whether to return a more detailed
-   * response object.
+   * @param {boolean} [opts.media=false] Whether to also download uploaded
+   * media, into the `content` property of the attachment.
+   * @param {*} [opts.partitionKey] Partition key value of the record. See
+   * {@link DocumentDBAdapter#getPartitionKey}.
    * @param {object} [opts.requestOpts] Options to pass to the DocumentClient request.
+   * @param {object|boolean} [opts.retry] Override {@link DocumentDBAdapter#retry}.
    * @return {Promise}
    */
-  createMany (mapper, props, opts) {
-    props || (props = {})
+  readAttachment (mapper, id, attachmentId, opts) {
     opts || (opts = {})
 
+    const attachmentLink = this.getAttachmentLink(mapper, id, attachmentId, opts)
+
     return this.waitForCollection(mapper, opts)
-      .then(() => Adapter.prototype.createMany.call(this, mapper, props, opts))
+      .then(() => this._getAttachmentRequestOpts(mapper, id, opts))
+      .then((requestOpts) => new utils.Promise((resolve, reject) => {
+        this._retry(opts, (callback) => this.client.readAttachment(attachmentLink, requestOpts, callback), (err, attachment) => {
+          if (err) {
+            if (err.code === 404) {
+              return resolve()
+            }
+            return reject(err)
+          }
+          return resolve(attachment)
+        })
+      }))
+      .then((attachment) => {
+        // External media is identified by an absolute URL
+        if (!attachment || !opts.media || /^[a-z][a-z0-9+.-]*:/i.test(attachment.media)) {
+          return attachment
+        }
+        return new utils.Promise((resolve, reject) => {
+          this._retry(opts, (callback) => this.client.readMedia(attachment.media, callback), (err, content) => {
+            if (err) {
+              return reject(err)
+            }
+            attachment.content = content
+            return resolve(attachment)
+          })
+        })
+      })
   },
 
   /**
-   * Destroy the record with the given primary key.
+   * Replace an attachment of the record with the given primary key. Resolves
+   * with the attachment.
    *
-   * @name DocumentDBAdapter#destroy
+   * If `attachment.media` is a readable stream, it replaces the uploaded media
+   * of the attachment. Otherwise the attachment is replaced with a reference
+   * to the external media at the URL `attachment.media`. See
+   * {@link DocumentDBAdapter#createAttachment}.
+   *
+   * @name DocumentDBAdapter#replaceAttachment
    * @method
    * @param {object} mapper The mapper.
-   * @param {(string|number)} id Primary key of the record to destroy.
+   * @param {(string|number)} id Primary key of the record.
+   * @param {object} attachment The attachment.
+   * @param {string} attachment.id Id of the attachment.
+   * @param {string} attachment.contentType MIME type of the media.
+   * @param {(string|stream.Readable)} attachment.media Media to upload, or the
+   * URL of external media.
    * @param {object} [opts] Configuration options.
-   * @param {boolean} [opts.raw=false] Whether to return a more detailed
-   * response object.
+   * @param {*} [opts.partitionKey] Partition key value of the record. See
+   * {@link DocumentDBAdapter#getPartitionKey}.
    * @param {object} [opts.requestOpts] Options to pass to the DocumentClient request.
+   * @param {object|boolean} [opts.retry] Override {@link DocumentDBAdapter#retry}.
    * @return {Promise}
    */
-  destroy (mapper, id, opts) {
+  replaceAttachment (mapper, id, attachment, opts) {
+    attachment || (attachment = {})
     opts || (opts = {})
 
-    return this.waitForCollection(mapper, opts)
-      .then(() => Adapter.prototype.destroy.call(this, mapper, id, opts))
+    const attachmentLink = this.getAttachmentLink(mapper, id, attachment.id, opts)
+
+    if (!isStream(attachment.media)) {
+      return this.waitForCollection(mapper, opts)
+        .then(() => this._getAttachmentRequestOpts(mapper, id, opts))
+        .then((requestOpts) => new utils.Promise((resolve, reject) => {
+          this._retry(opts, (callback) => this.client.replaceAttachment(attachmentLink, utils.plainCopy(attachment), requestOpts, callback), (err, replaced) => {
+            return err ? reject(err) : resolve(replaced)
+          })
+        }))
+    }
+
+    // Uploaded media is replaced through the media link of the attachment
+    return this.readAttachment(mapper, id, attachment.id, opts)
+      .then((existing) => {
+        if (!existing) {
+          throw new Error('Not Found')
+        }
+        return new utils.Promise((resolve, reject) => {
+          const mediaOpts = { slug: attachment.id, contentType: attachment.contentType || existing.contentType }
+          // A stream can only be read once, so the upload isn't retried
+          this.client.updateMedia(existing.media, attachment.media, mediaOpts, (err) => err ? reject(err) : resolve())
+        })
+      })
+      .then(() => this.readAttachment(mapper, id, attachment.id, opts))
   },
 
   /**
-   * Destroy the records that match the selection query.
+   * Return the id of the collection of the mapper's documents. Override it,
+   * or pass `resolveCollection` to the constructor, to route requests to a
+   * different collection, e.g. one per tenant. It is called with the options
+   * of every request, unless `opts.collection` is set, and must return the
+   * same id for the same tenant. Queries keep using the logical collection id
+   * of the mapper as the alias of the documents.
    *
-   * @name DocumentDBAdapter#destroyAll
+   * @example
+   * const adapter = new DocumentDBAdapter({
+   *   resolveCollection (mapper, opts) {
+   *     const collectionId = mapper.collection || mapper.name
+   *     return opts.tenantId ? `${collectionId}_${opts.tenantId}` : collectionId
+   *   }
+   * })
+   * adapter.findAll(store.getMapper('user'), {}, { tenantId: 'acme' })
+   *
+   * @name DocumentDBAdapter#resolveCollection
    * @method
-   * @param {object} mapper the mapper.
-   * @param {object} [query] Selection query.
-   * @param {object} [query.where] Filtering criteria.
-   * @param {string|Array} [query.orderBy] Sorting criteria.
-   * @param {string|Array} [query.sort] Same as `query.sort`.
-   * @param {number} [query.limit] Limit results.
-   * @param {number} [query.skip] Offset results.
-   * @param {number} [query.offset] Same as `query.skip`.
-   * @param {object} [opts] Configuration options.
-   * @param {object} [opts.feedOpts] Options to pass to the DocumentClient#queryDocuments.
-   * @param {object} [opts.operators] Override the default predicate functions
-   * for specified operators.
-   * @param {boolean} [opts.raw=false] Whether to return a more detailed
-   * response object.
-   * @param {object} [opts.requestOpts] Options to pass to the DocumentClient request.
-   * @return {Promise}
+   * @param {object} mapper The mapper.
+   * @param {object} opts The options of the request.
+   * @return {string} The id of the collection.
    */
-  destroyAll (mapper, query, opts) {
-    opts || (opts = {})
-    query || (query = {})
+  resolveCollection (mapper, opts) {
+    return mapper.sharedCollection || mapper.collection || underscore(mapper.name)
+  },
 
-    return this.waitForCollection(mapper, opts)
-      .then(() => Adapter.prototype.destroyAll.call(this, mapper, query, opts))
+  /**
+   * Return the id of the database of the mapper's documents. Override it, or
+   * pass `resolveDb` to the constructor, to route requests to a different
+   * database, e.g. one per tenant. It is called with the options of every
+   * request, unless `opts.db` is set. Each database gets its own
+   * {@link DocumentDBAdapter#metaCollection|meta collection}.
+   *
+   * @example
+   * const adapter = new DocumentDBAdapter({
+   *   resolveDb (mapper, opts) {
+   *     return opts.tenantId ? `tenant_${opts.tenantId}` : 'shared'
+   *   }
+   * })
+   * adapter.findAll(store.getMapper('user'), {}, { tenantId: 'acme' })
+   *
+   * @name DocumentDBAdapter#resolveDb
+   * @method
+   * @param {object} mapper The mapper.
+   * @param {object} opts The options of the request.
+   * @return {string} The id of the database.
+   */
+  resolveDb (mapper, opts) {
+    return this.documentOpts.db
   },
 
   /**
-   * Retrieve the record with the given primary key.
+   * Resolve `where` clauses on the fields of related records into clauses on
+   * the mapper's own keys. DocumentDB can't join documents across
+   * collections, so for a clause like `{ 'profile.email': { '==': email } }`
+   * on a `belongsTo` or `hasOne` relation the keys of the matching related
+   * records are selected first and then matched with an `in` predicate, e.g.
+   * `{ profileId: { 'in': keys } }`. Each relation clause is ANDed with the
+   * rest of its group. Called by every method that accepts a selection query.
    *
-   * @name DocumentDBAdapter#find
+   * @name DocumentDBAdapter#resolveRelationFilters
    * @method
    * @param {object} mapper The mapper.
-   * @param {(string|number)} id Primary key of the record to retrieve.
+   * @param {object} [query] Selection query.
    * @param {object} [opts] Configuration options.
-   * @param {boolean} [opts.raw=false] Whether to return a more detailed
-   * response object.
-   * @param {object} [opts.requestOpts] Options to pass to the DocumentClient request.
-   * @param {string[]} [opts.with=[]] Relations to eager load.
-   * @return {Promise}
+   * @param {object} [opts.operators] Override the default predicate functions
+   * for specified operators.
+   * @param {number} [opts.relationChunkSize] Override {@link DocumentDBAdapter#relationChunkSize}.
+   * @param {object|boolean} [opts.retry] Override {@link DocumentDBAdapter#retry}.
+   * @return {Promise} Resolves with the rewritten selection query.
    */
-  find (mapper, id, opts) {
+  resolveRelationFilters (mapper, query, opts) {
     opts || (opts = {})
+    query = utils.plainCopy(query || {})
 
-    return this.waitForCollection(mapper, opts)
-      .then(() => Adapter.prototype.find.call(this, mapper, id, opts))
+    const getRelation = (field) => {
+      const localField = field.split('.')[0]
+      return (mapper.relationList || []).filter((def) => {
+        return def.localField === localField && field !== localField && (def.type === 'belongsTo' || def.type === 'hasOne')
+      })[0]
+    }
+
+    // Relation clauses can also be given as top-level query properties
+    utils.forOwn(query, (clause, field) => {
+      if (reserved.indexOf(field) === -1 && getRelation(field)) {
+        query.where = query.where ? [query.where, { [field]: clause }] : { [field]: clause }
+        delete query[field]
+      }
+    })
+
+    const rewrite = (where) => {
+      if (utils.isArray(where)) {
+        return utils.Promise.all(where.map((_where) => utils.isString(_where) ? _where : rewrite(_where)))
+      }
+      const rest = {}
+      const filters = []
+      utils.forOwn(where, (clause, field) => {
+        const def = getRelation(field)
+        if (def) {
+          filters.push(this._resolveRelationFilter(mapper, def, field.substr(def.localField.length + 1), clause, opts))
+        } else {
+          rest[field] = clause
+        }
+      })
+      if (!filters.length) {
+        return utils.resolve(where)
+      }
+      return utils.Promise.all(filters).then((predicates) => {
+        return (Object.keys(rest).length ? [rest] : []).concat(predicates)
+      })
+    }
+
+    if (!utils.isObject(query.where) && !utils.isArray(query.where)) {
+      return utils.resolve(query)
+    }
+    return rewrite(query.where).then((where) => {
+      query.where = where
+      return query
+    })
   },
 
   /**
-   * Retrieve the records that match the selection query.
+   * Bring back the soft-deleted record with the given primary key. Rejects if
+   * there is no such record, and resolves with the record unchanged if it
+   * isn't deleted. See {@link DocumentDBAdapter#softDelete}.
    *
-   * @name DocumentDBAdapter#findAll
+   * @name DocumentDBAdapter#restore
    * @method
    * @param {object} mapper The mapper.
-   * @param {object} [query] Selection query.
-   * @param {object} [query.where] Filtering criteria.
-   * @param {string|Array} [query.orderBy] Sorting criteria.
-   * @param {string|Array} [query.sort] Same as `query.sort`.
-   * @param {number} [query.limit] Limit results.
-   * @param {number} [query.skip] Offset results.
-   * @param {number} [query.offset] Same as `query.skip`.
+   * @param {(string|number)} id Primary key of the record to restore.
    * @param {object} [opts] Configuration options.
-   * @param {object} [opts.feedOpts] Options to pass to the DocumentClient#queryDocuments.
-   * @param {string[]} [opts.fields] Choose which fields should be returned from
-   * the SQL query, e.g. ["id", "name"].
-   * @param {object} [opts.operators] Override the default predicate functions
-   * for specified operators.
+   * @param {boolean} [opts.optimistic] Override {@link DocumentDBAdapter#optimistic}.
+   * @param {*} [opts.partitionKey] Partition key value of the record. See
+   * {@link DocumentDBAdapter#getPartitionKey}.
    * @param {boolean} [opts.raw=false] Whether to return a more detailed
    * response object.
    * @param {object} [opts.requestOpts] Options to pass to the DocumentClient request.
-   * @param {string} [opts.select] Override the SELECT string in the resulting
-   * SQL query, e.g. "users.id,users.name".
-   * @param {string[]} [opts.with=[]] Relations to eager load.
+   * @param {object|boolean} [opts.retry] Override {@link DocumentDBAdapter#retry}.
    * @return {Promise}
    */
-  findAll (mapper, query, opts) {
+  restore (mapper, id, opts) {
     opts || (opts = {})
-    query || (query = {})
 
     return this.waitForCollection(mapper, opts)
-      .then(() => Adapter.prototype.findAll.call(this, mapper, query, opts))
+      .then(() => this._lifecycle('restore', [mapper, id], opts))
   },
 
   /**
-   * Resolve the predicate function for the specified operator based on the
-   * given options and this adapter's settings.
+   * Return a Node.js object mode `Readable` stream of the records that match
+   * the selection query. Pages are fetched lazily as the stream is read, so a
+   * slow consumer applies backpressure to the query. See
+   * {@link DocumentDBAdapter#iterate}.
    *
-   * @name DocumentDBAdapter#getOperator
+   * @example
+   * adapter.stream(UserMapper, { where: { active: true } })
+   *   .on('data', (user) => console.log(user))
+   *   .on('end', () => console.log('done'))
+   *
+   * @name DocumentDBAdapter#stream
    * @method
-   * @param {string} operator The name of the operator.
-   * @param {object} [opts] Configuration options.
-   * @param {object} [opts.operators] Override the default predicate functions
-   * for specified operators.
-   * @return {*} The predicate function for the specified operator.
+   * @param {object} mapper The mapper.
+   * @param {object} [query] Selection query. See {@link DocumentDBAdapter#iterate}.
+   * @param {object} [opts] Configuration options. See {@link DocumentDBAdapter#iterate}.
+   * @param {boolean} [opts.withDeleted=false] Include soft-deleted records.
+   * See {@link DocumentDBAdapter#softDelete}.
+   * @return {Readable}
    */
-  getOperator (operator, opts) {
-    opts || (opts = {})
-    opts.operators || (opts.operators = {})
-    let ownOps = this.operators || {}
-    return utils.isUndefined(opts.operators[operator]) ? ownOps[operator] : opts.operators[operator]
+  stream (mapper, query, opts) {
+    const iterator = this.iterate(mapper, query, opts)
+
+    return new Readable({
+      objectMode: true,
+      read () {
+        iterator.next().then((result) => {
+          this.push(result.done ? null : result.value)
+        }, (err) => {
+          this.destroy(err)
+        })
+      }
+    })
   },
 
   /**
    * Return the sum of the specified field of records that match the selection
-   * query.
+   * query. Records without the field are ignored. Resolves with `undefined`
+   * if any of the values is not a number, like DocumentDB's `SUM`.
    *
    * @name DocumentDBAdapter#sum
    * @method
@@ -951,9 +4492,16 @@ Adapter.extend({
    * @param {object} [opts.feedOpts] Options to pass to the DocumentClient#queryDocuments.
    * @param {object} [opts.operators] Override the default predicate functions
    * for specified operators.
+   * @param {*} [opts.partitionKey] Scope the query to this partition. See
+   * {@link DocumentDBAdapter#getFeedOpts}.
    * @param {boolean} [opts.raw=false] Whether to return a more detailed
-   * response object.
+   * response object, which also reports how many records were `found`. The
+   * records are counted with a second query.
    * @param {object} [opts.requestOpts] Options to pass to the DocumentClient request.
+   * @param {object|boolean} [opts.retry] Override {@link DocumentDBAdapter#retry}.
+   * @param {boolean} [opts.serverAggregates] Override {@link DocumentDBAdapter#serverAggregates}.
+   * @param {boolean} [opts.withDeleted=false] Include soft-deleted records.
+   * See {@link DocumentDBAdapter#softDelete}.
    * @return {Promise}
    */
   sum (mapper, field, query, opts) {
@@ -973,9 +4521,22 @@ Adapter.extend({
    * @param {(string|number)} id The primary key of the record to be updated.
    * @param {object} props The update to apply to the record.
    * @param {object} [opts] Configuration options.
+   * @param {string} [opts.etag] Only update the record if its `_etag` matches
+   * this value. Requires `opts.optimistic`.
+   * @param {boolean} [opts.optimistic] Override {@link DocumentDBAdapter#optimistic}.
+   * @param {number} [opts.optimisticRetries] Override {@link DocumentDBAdapter#optimisticRetries}.
+   * @param {*} [opts.partitionKey] Partition key value of the record. See
+   * {@link DocumentDBAdapter#getPartitionKey}.
+   * @param {string|string[]|boolean} [opts.postTriggerInclude] Override the
+   * post-triggers to run. See {@link DocumentDBAdapter#getTriggers}.
+   * @param {string|string[]|boolean} [opts.preTriggerInclude] Override the
+   * pre-triggers to run. See {@link DocumentDBAdapter#getTriggers}.
    * @param {boolean} [opts.raw=false] Whether to return a more detailed
    * response object.
    * @param {object} [opts.requestOpts] Options to pass to the DocumentClient request.
+   * @param {object|boolean} [opts.retry] Override {@link DocumentDBAdapter#retry}.
+   * @param {number} [opts.ttl] Time-to-live of the written documents, in
+   * seconds. See {@link DocumentDBAdapter#updateTtl}.
    * @return {Promise}
    */
   update (mapper, id, props, opts) {
@@ -1001,12 +4562,28 @@ Adapter.extend({
    * @param {number} [query.skip] Offset results.
    * @param {number} [query.offset] Same as `query.skip`.
    * @param {object} [opts] Configuration options.
+   * @param {boolean} [opts.atomic] Override {@link DocumentDBAdapter#atomic}.
+   * @param {number} [opts.batchSize] Override {@link DocumentDBAdapter#batchSize}.
+   * @param {number} [opts.concurrency] Override {@link DocumentDBAdapter#concurrency}.
    * @param {object} [opts.feedOpts] Options to pass to the DocumentClient#queryDocuments.
    * @param {object} [opts.operators] Override the default predicate functions
    * for specified operators.
+   * @param {boolean} [opts.optimistic] Override {@link DocumentDBAdapter#optimistic}.
+   * @param {number} [opts.optimisticRetries] Override {@link DocumentDBAdapter#optimisticRetries}.
+   * @param {*} [opts.partitionKey] Scope the query to this partition. See
+   * {@link DocumentDBAdapter#getFeedOpts}.
+   * @param {string|string[]|boolean} [opts.postTriggerInclude] Override the
+   * post-triggers to run. See {@link DocumentDBAdapter#getTriggers}.
+   * @param {string|string[]|boolean} [opts.preTriggerInclude] Override the
+   * pre-triggers to run. See {@link DocumentDBAdapter#getTriggers}.
    * @param {boolean} [opts.raw=false] Whether to return a more detailed
    * response object.
    * @param {object} [opts.requestOpts] Options to pass to the DocumentClient request.
+   * @param {object|boolean} [opts.retry] Override {@link DocumentDBAdapter#retry}.
+   * @param {number} [opts.ttl] Time-to-live of the written documents, in
+   * seconds. See {@link DocumentDBAdapter#updateTtl}.
+   * @param {boolean} [opts.withDeleted=false] Include soft-deleted records.
+   * See {@link DocumentDBAdapter#softDelete}.
    * @return {Promise}
    */
   updateAll (mapper, props, query, opts) {
@@ -1026,9 +4603,21 @@ Adapter.extend({
    * @param {object} mapper The mapper.
    * @param {Object[]} records The records to update.
    * @param {object} [opts] Configuration options.
+   * @param {boolean} [opts.atomic] Override {@link DocumentDBAdapter#atomic}.
+   * @param {number} [opts.batchSize] Override {@link DocumentDBAdapter#batchSize}.
+   * @param {number} [opts.concurrency] Override {@link DocumentDBAdapter#concurrency}.
+   * @param {boolean} [opts.optimistic] Override {@link DocumentDBAdapter#optimistic}.
+   * @param {number} [opts.optimisticRetries] Override {@link DocumentDBAdapter#optimisticRetries}.
+   * @param {string|string[]|boolean} [opts.postTriggerInclude] Override the
+   * post-triggers to run. See {@link DocumentDBAdapter#getTriggers}.
+   * @param {string|string[]|boolean} [opts.preTriggerInclude] Override the
+   * pre-triggers to run. See {@link DocumentDBAdapter#getTriggers}.
    * @param {boolean} [opts.raw=false] Whether to return a more detailed
    * response object.
    * @param {object} [opts.requestOpts] Options to pass to the DocumentClient request.
+   * @param {object|boolean} [opts.retry] Override {@link DocumentDBAdapter#retry}.
+   * @param {number} [opts.ttl] Time-to-live of the written documents, in
+   * seconds. See {@link DocumentDBAdapter#updateTtl}.
    * @return {Promise}
    */
   updateMany (mapper, records, opts) {
@@ -1037,6 +4626,277 @@ Adapter.extend({
 
     return this.waitForCollection(mapper, opts)
       .then(() => Adapter.prototype.updateMany.call(this, mapper, records, opts))
+  },
+
+  /**
+   * Change the default time-to-live of the mapper's existing collection.
+   * Resolves with the collection.
+   *
+   * Set `defaultTtl` on a Mapper to have its collection created with that
+   * setting. Collections that already exist are not updated by
+   * {@link DocumentDBAdapter#waitForCollection}, use this method instead. A
+   * number of seconds expires documents that long after their last write,
+   * `-1` enables expiration without a default, so that only documents with
+   * their own `ttl` property expire, and `null` disables expiration. Pass
+   * `opts.ttl` to {@link DocumentDBAdapter#create},
+   * {@link DocumentDBAdapter#update} or {@link DocumentDBAdapter#upsert} to
+   * set the `ttl` property of the written documents.
+   *
+   * @example
+   * store.defineMapper('session', {
+   *   defaultTtl: 3600
+   * })
+   * adapter.updateTtl(store.getMapper('session'), 7200)
+   *
+   * @name DocumentDBAdapter#updateTtl
+   * @method
+   * @param {object} mapper The mapper.
+   * @param {?number} ttl The default time-to-live, in seconds.
+   * @param {object} [opts] Configuration options.
+   * @param {object} [opts.requestOpts] Options to pass to the DocumentClient request.
+   * @param {object|boolean} [opts.retry] Override {@link DocumentDBAdapter#retry}.
+   * @return {Promise}
+   */
+  updateTtl (mapper, ttl, opts) {
+    opts || (opts = {})
+
+    const dbId = this.getDbId(mapper, opts)
+    const collectionId = this.getCollectionId(mapper, opts)
+
+    return this.waitForCollection(mapper, opts).then((collection) => {
+      const body = utils.plainCopy(collection)
+      if (ttl === null || utils.isUndefined(ttl)) {
+        delete body.defaultTtl
+      } else {
+        body.defaultTtl = ttl
+      }
+      return new utils.Promise((resolve, reject) => {
+        this._retry(opts, (callback) => this.client.replaceCollection(this.getCollectionLink(mapper, opts), body, this.getOpt('requestOpts', opts), callback), (err, updated) => {
+          if (err) {
+            return reject(err)
+          }
+          this._cacheCollection(dbId, collectionId, utils.resolve(updated))
+          return resolve(updated)
+        })
+      })
+    })
+  },
+
+  /**
+   * Create the given record, or replace the existing record with the same
+   * primary key, in a single request.
+   *
+   * DocumentClient doesn't report which of the two happened, so the response
+   * has no `created` and `updated` counts, only the number of records that
+   * were `upserted`.
+   *
+   * @name DocumentDBAdapter#upsert
+   * @method
+   * @param {object} mapper The mapper.
+   * @param {object} props The record to be created or replaced.
+   * @param {object} [opts] Configuration options.
+   * @param {boolean} [opts.optimistic] Override {@link DocumentDBAdapter#optimistic}.
+   * When enabled, a record with an `_etag` is only replaced if its `_etag` is
+   * still current.
+   * @param {string|string[]|boolean} [opts.postTriggerInclude] Override the
+   * post-triggers to run. See {@link DocumentDBAdapter#getTriggers}.
+   * @param {string|string[]|boolean} [opts.preTriggerInclude] Override the
+   * pre-triggers to run. See {@link DocumentDBAdapter#getTriggers}.
+   * @param {boolean} [opts.raw=false] Whether to return a more detailed
+   * response object.
+   * @param {object} [opts.requestOpts] Options to pass to the DocumentClient request.
+   * @param {object|boolean} [opts.retry] Override {@link DocumentDBAdapter#retry}.
+   * @param {number} [opts.ttl] Time-to-live of the written documents, in
+   * seconds. See {@link DocumentDBAdapter#updateTtl}.
+   * @return {Promise}
+   */
+  upsert (mapper, props, opts) {
+    props || (props = {})
+    opts || (opts = {})
+
+    return this.waitForCollection(mapper, opts)
+      .then(() => this._lifecycle('upsert', [mapper, props], opts, (props) => withoutRelations(mapper, props, opts)))
+  },
+
+  /**
+   * Create or replace multiple records in a single batch. See
+   * {@link DocumentDBAdapter#upsert}.
+   *
+   * @name DocumentDBAdapter#upsertMany
+   * @method
+   * @param {object} mapper The mapper.
+   * @param {Object[]} records The records to be created or replaced.
+   * @param {object} [opts] Configuration options.
+   * @param {number} [opts.batchSize] Override {@link DocumentDBAdapter#batchSize}.
+   * @param {number} [opts.concurrency] Override {@link DocumentDBAdapter#concurrency}.
+   * @param {boolean} [opts.optimistic] Override {@link DocumentDBAdapter#optimistic}.
+   * @param {string|string[]|boolean} [opts.postTriggerInclude] Override the
+   * post-triggers to run. See {@link DocumentDBAdapter#getTriggers}.
+   * @param {string|string[]|boolean} [opts.preTriggerInclude] Override the
+   * pre-triggers to run. See {@link DocumentDBAdapter#getTriggers}.
+   * @param {boolean} [opts.raw=false] Whether to return a more detailed
+   * response object.
+   * @param {object} [opts.requestOpts] Options to pass to the DocumentClient request.
+   * @param {object|boolean} [opts.retry] Override {@link DocumentDBAdapter#retry}.
+   * @param {number} [opts.ttl] Time-to-live of the written documents, in
+   * seconds. See {@link DocumentDBAdapter#updateTtl}.
+   * @return {Promise}
+   */
+  upsertMany (mapper, records, opts) {
+    records || (records = [])
+    opts || (opts = {})
+
+    return this.waitForCollection(mapper, opts)
+      .then(() => this._lifecycle('upsertMany', [mapper, records], opts, (records) => records.map((record) => withoutRelations(mapper, record, opts))))
+  },
+
+  /**
+   * Call `handler` with the records that are created or updated in the
+   * mapper's collection. Returns a watcher, which does nothing until its
+   * `start` method is called.
+   *
+   * Changes are read from the collection's change feed. Partitioned
+   * collections, and accounts where the change feed isn't available, are
+   * polled with queries on the `_ts` property instead. Either way `handler`
+   * receives batches of records in the order they were written, though
+   * polling can't order records written within the same second. Only the
+   * latest version of a record is delivered, and destroyed records are not
+   * reported.
+   *
+   * After `handler` has processed a batch, or the Promise it returns has
+   * resolved, the watcher saves its checkpoint in the
+   * {@link DocumentDBAdapter#metaCollection|meta collection}, under the name
+   * of the watcher. A watcher that is started again with the same name
+   * resumes after the last batch it processed. If `handler` fails, the batch
+   * is delivered again.
+   *
+   * @example
+   * const watcher = adapter.watch(store.getMapper('user'), (users) => {
+   *   return searchIndex.update(users)
+   * }, { name: 'search', interval: 5000 })
+   * watcher.start()
+   * // later
+   * watcher.stop()
+   *
+   * @name DocumentDBAdapter#watch
+   * @method
+   * @param {object} mapper The mapper.
+   * @param {function} handler Called with an array of records and the
+   * checkpoint that is saved once they have been processed.
+   * @param {object} [opts] Configuration options.
+   * @param {object} [opts.checkpoint] Start from this checkpoint instead of the
+   * saved one.
+   * @param {object} [opts.feedOpts] Options to pass to the
+   * DocumentClient#readDocuments.
+   * @param {number} [opts.interval=1000] Milliseconds to wait before looking
+   * for changes again after finding none.
+   * @param {string} [opts.mode] Either `"feed"` or `"poll"`, to choose how
+   * changes are read.
+   * @param {string} [opts.name="default"] Name under which the checkpoint is
+   * saved.
+   * @param {function} [opts.onError] Called with the errors of the watcher.
+   * They are logged by default.
+   * @param {number} [opts.pageSize] Maximum number of records per batch when
+   * polling. Defaults to the `maxItemCount` of {@link DocumentDBAdapter#feedOpts}.
+   * @param {object|boolean} [opts.retry] Override {@link DocumentDBAdapter#retry}.
+   * @return {object} The watcher, with the methods `start`, which resolves
+   * once the first batch has been processed, `stop`, which resolves once the
+   * batch in progress has been processed, and `poll`, which processes a single
+   * batch and resolves with its size. Its `checkpoint` property holds the
+   * last checkpoint.
+   */
+  watch (mapper, handler, opts) {
+    opts || (opts = {})
+    if (!utils.isFunction(handler)) {
+      throw new Error('handler must be a function!')
+    }
+
+    const checkpointId = `watch.${this.getCollectionId(mapper, opts)}.${opts.name || 'default'}`
+    const interval = utils.isNumber(opts.interval) ? opts.interval : 1000
+    let running = false
+    let timer
+    let pending = utils.resolve()
+    let loading
+
+    const load = () => {
+      if (!loading) {
+        loading = opts.checkpoint ? utils.resolve(opts.checkpoint) : this._readMeta(mapper, checkpointId, opts)
+          .then((document) => document && document.checkpoint)
+        loading = loading.then((checkpoint) => {
+          checkpoint || (checkpoint = { mode: opts.mode || (mapper.partitionKey ? 'poll' : 'feed') })
+          watcher.checkpoint = checkpoint
+        }, (err) => {
+          loading = undefined
+          throw err
+        })
+      }
+      return loading
+    }
+
+    const cycle = () => {
+      timer = undefined
+      return watcher.poll()
+        .catch((err) => {
+          if (utils.isFunction(opts.onError)) {
+            opts.onError(err)
+          } else {
+            this.log('error', err)
+          }
+          return 0
+        })
+        .then((count) => {
+          if (running) {
+            timer = setTimeout(cycle, count ? 0 : interval)
+          }
+        })
+    }
+
+    const watcher = {
+      checkpoint: undefined,
+
+      poll: () => {
+        // Batches are processed one at a time, whatever the outcome of the
+        // previous one
+        pending = pending.catch(() => {})
+          .then(() => this.waitForCollection(mapper, opts))
+          .then(load)
+          .then(() => this._readChanges(mapper, watcher.checkpoint, opts))
+          .then((result) => {
+            const discriminator = this.getDiscriminator(mapper)
+            const checkpoint = result[1]
+            const documents = discriminator ? result[0].filter((document) => document[discriminator.field] === discriminator.value) : result[0]
+            if (!documents.length) {
+              watcher.checkpoint = checkpoint
+              return 0
+            }
+            const records = utils.isFunction(mapper.createRecord) ? mapper.createRecord(documents) : documents
+            return utils.resolve(handler(records, checkpoint))
+              .then(() => this._writeMeta(mapper, { id: checkpointId, checkpoint }, opts))
+              .then(() => {
+                watcher.checkpoint = checkpoint
+                return documents.length
+              })
+          })
+        return pending
+      },
+
+      start: () => {
+        if (running) {
+          return pending.then(() => undefined, () => undefined)
+        }
+        running = true
+        return cycle()
+      },
+
+      stop: () => {
+        running = false
+        clearTimeout(timer)
+        timer = undefined
+        return pending.then(() => undefined, () => undefined)
+      }
+    }
+
+    return watcher
   }
 })
 